@@ -1,42 +1,32 @@
 // app.js
-// Warframe Farm Planner v2 logic
-// Data sources:
-// - ResourcesMaster.csv: explicit best nodes per resource with scores
-// - ResourcesPlanet.csv: planetary base-drop map for fallback coverage
-//
-// Toggles:
-// - Goal: Maximize efficiency vs Minimize stops
-// - Run: Quick run vs Endless run (endless is a hard filter)
-//
-// Fallback score:
-// - If a resource is not explicitly listed for a node, but the node's planet base-drops it, score = 2
-
-const FALLBACK_SCORE = 2;
+// Warframe Farm Planner v2 UI: panels, local storage, exports and share links.
+// Data indexing, scoring and the planners live in planner.js (DOM-free).
+
+import {
+  DEFAULT_STAY_MINUTES, DROP_MODIFIERS, DEFAULT_MAX_STOPS, DEFAULT_BALANCE, DEFAULT_BUDGET_MINUTES, MAX_BUDGET_MINUTES,
+  PRIORITIES, DEFAULT_PRIORITY, RESOURCES, NODE_META,
+  PLANETS, DATA_ISSUES, RECIPES, SETTINGS, norm, titleCase, resourceIconName, parseCsv, MASTER_FILE,
+  PLANET_FILE, RECIPE_FILE, LINKS_FILE, addIssue, resolveDataset, indexDataset, neededAmount,
+  isTargetMet, expandCrafting, defaultWeights, formatNodeLine, missionWeightKey, formatScore,
+  formatFactors, formatStay, formatEstimate, formatTravel, formatEfficiency, EXPORT_FORMATS,
+  createPlan, pickFrontierPoint, pickRoute, dataVersion, starChartLayout, mapCoverage, nodeBlockReason, csvField,
+  indexFarmLog, farmLogSummary, farmLogSummaries, nodeResources, findNodes, nodeDrops,
+} from "./planner.js";
 
 // ----------------------------
 // State
 // ----------------------------
-let MASTER_ROWS = [];            // normalized rows from ResourcesMaster.csv
-let PLANET_DROPS = new Map();    // resourceKey -> Set(planetKey)
-let RESOURCES = [];              // unique resources from master
-let NODE_META = new Map();       // nodeKey -> { planet, missionType, isEndless, speedScore }
-let SELECTED_KEYS = new Set(); // resource keys (normalized)
-
-// Indexes for fast lookup
-let EXPLICIT = new Map();        // resourceKey -> Map(nodeKey -> {dropScore, speedScore, ...})
-
-function norm(s) {
-  return String(s ?? "").trim().toLowerCase();
-}
+let SELECTED_KEYS = new Set();   // resource keys (normalized)
+let CRAFT_GOALS = new Map();     // itemKey -> amount to craft (saved)
+let CUSTOM_DATASET = null;       // imported CSVs from IndexedDB: { mode, master, planet, savedAt }
+let LAST_PLAN = null;            // createPlan result for exports
+let PRESETS = [];                // [{ name, hash, savedAt }] share-link state per preset (saved)
+let PLAN_HISTORY = [];           // [{ resources, plan, settings }] newest first (saved)
+let FARM_LOG = [];               // [{ at, node, minutes, drops: { resourceName: qty } }] logged runs (saved)
+let SQUAD = [];                  // [{ name, resources, targets, owned?, progress? }] squad players (saved)
+let DATA_VERSION = "";           // hash of the bundled CSVs, shown next to the online/offline state
+let MAP_EDITS = { include: new Set(), exclude: new Set() }; // star chart picks (node keys), this session only
 
-function titleCase(s) {
-  return String(s ?? "")
-    .trim()
-    .split(" ")
-    .filter(Boolean)
-    .map(w => w.charAt(0).toUpperCase() + w.slice(1))
-    .join(" ");
-}
 
 function escapeHtml(s) {
   return String(s)
@@ -52,217 +42,316 @@ function setOutputMessage(msg) {
   out.innerHTML = `<div class="empty">${escapeHtml(msg)}</div>`;
 }
 
-function copyOutput() {
-  const out = document.getElementById("output");
-  const text = out.innerText || "";
+function downloadText(filename, text, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function copyText(text) {
   navigator.clipboard.writeText(text).catch(() => { });
 }
 
 // ----------------------------
-// CSV parsing
+// Local storage
 // ----------------------------
-function resourceIconName(resourceName) {
-  return String(resourceName ?? "")
-    .replace(/\s+/g, ""); // remove spaces only
+const STORAGE_PREFIX = "wfFarmPlanner.";
+
+function loadStored(key, fallback) {
+  try {
+    const raw = localStorage.getItem(STORAGE_PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
 }
 
+function saveStored(key, value) {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+  } catch {
+    // storage full or disabled: planner still works, it just won't remember
+  }
+}
 
-function parseCsv(text) {
-  // Minimal CSV parser that handles commas and quotes.
-  // Assumes first row is header.
-  const rows = [];
-  let i = 0;
-  let field = "";
-  let row = [];
-  let inQuotes = false;
-
-  function pushField() {
-    row.push(field);
-    field = "";
-  }
-  function pushRow() {
-    // ignore empty trailing lines
-    if (row.length === 1 && row[0].trim() === "") return;
-    rows.push(row);
-    row = [];
-  }
-
-  while (i < text.length) {
-    const c = text[i];
-
-    if (inQuotes) {
-      if (c === "\"") {
-        const next = text[i + 1];
-        if (next === "\"") {
-          field += "\"";
-          i += 2;
-          continue;
-        }
-        inQuotes = false;
-        i += 1;
-        continue;
-      }
-      field += c;
-      i += 1;
-      continue;
-    }
+function restoreSelection() {
+  SELECTED_KEYS = new Set(loadStored("selection", []));
+  SETTINGS.targets = new Map(Object.entries(loadStored("targets", {})));
+  SETTINGS.priorities = new Map(Object.entries(loadStored("priorities", {})).filter(([, id]) => PRIORITIES.some(p => p.id === id)));
+  SETTINGS.owned = new Map(Object.entries(loadStored("inventory", {})));
+
+  // Progress stores what is locked, so planets/nodes added to the dataset later default to unlocked
+  const progress = loadStored("progress", {});
+  SETTINGS.lockedPlanets = new Set(progress.lockedPlanets || []);
+  SETTINGS.lockedNodes = new Set(progress.lockedNodes || []);
+
+  restoreWeights();
+  SETTINGS.modifiers = new Set(loadStored("modifiers", []).filter(id => DROP_MODIFIERS.some(m => m.id === id)));
+  CRAFT_GOALS = new Map(Object.entries(loadStored("crafting", {})));
+  PRESETS = loadStored("presets", []).filter(p => p && p.name && p.hash);
+  PLAN_HISTORY = loadStored("history", []).filter(h => h && h.plan);
+  FARM_LOG = loadStored("farmLog", []).filter(e => e && e.node && e.minutes > 0);
+  SETTINGS.useFarmLog = loadStored("useFarmLog", false) === true;
+  SQUAD = loadStored("squad", []).filter(p => p && p.name && Array.isArray(p.resources));
+}
 
-    if (c === "\"") {
-      inQuotes = true;
-      i += 1;
-      continue;
-    }
+function removeStored(key) {
+  try {
+    localStorage.removeItem(STORAGE_PREFIX + key);
+  } catch {
+    // ignore
+  }
+}
 
-    if (c === ",") {
-      pushField();
-      i += 1;
-      continue;
-    }
+function saveSelection() {
+  saveStored("selection", [...SELECTED_KEYS]);
+  saveStored("targets", Object.fromEntries(SETTINGS.targets));
+  saveStored("priorities", Object.fromEntries(SETTINGS.priorities));
+}
 
-    if (c === "\n") {
-      pushField();
-      pushRow();
-      i += 1;
-      continue;
-    }
+function saveInventory() {
+  saveStored("inventory", Object.fromEntries(SETTINGS.owned));
+}
 
-    if (c === "\r") {
-      i += 1;
-      continue;
-    }
+function saveCrafting() {
+  saveStored("crafting", Object.fromEntries(CRAFT_GOALS));
+}
 
-    field += c;
-    i += 1;
-  }
+function saveModifiers() {
+  saveStored("modifiers", [...SETTINGS.modifiers]);
+}
 
-  pushField();
-  pushRow();
+function saveProgress() {
+  saveStored("progress", { lockedPlanets: [...SETTINGS.lockedPlanets], lockedNodes: [...SETTINGS.lockedNodes] });
+}
 
-  if (rows.length === 0) return [];
 
-  const header = rows[0].map(h => h.trim());
-  const out = [];
-  for (let r = 1; r < rows.length; r++) {
-    const obj = {};
-    for (let c = 0; c < header.length; c++) {
-      obj[header[c]] = rows[r][c] ?? "";
+// ----------------------------
+// Dataset validation
+// ----------------------------
+// Row checks run while planner.js indexes the CSVs; this one needs fetch.
+async function checkResourceIcons() {
+  // Icons are optional (the UI falls back to _default.png) but usually a typo.
+  // HEAD requests bypass the service worker, so offline there is nothing to check,
+  // and a network failure says nothing about the file: only a real response counts.
+  if (!navigator.onLine) return;
+  const results = await Promise.all(RESOURCES.map(async r => {
+    const file = `icons/resources/${resourceIconName(r)}.png`;
+    try {
+      const res = await fetch(file, { method: "HEAD" });
+      return res.ok ? null : { r, file };
+    } catch {
+      return null;
     }
-    out.push(obj);
+  }));
+
+  for (const miss of results.filter(Boolean)) {
+    addIssue("warning", "icons/resources", null, `Missing icon ${miss.file} for "${miss.r}".`);
   }
-  return out;
 }
 
 // ----------------------------
 // Data loading + indexing
 // ----------------------------
-async function loadData() {
+async function fetchBundledCsv() {
   // Make sure these CSV files are next to index.html
+  // no-cache: without a service worker (first visit, private mode) the HTTP cache must revalidate
   const [masterRes, planetRes] = await Promise.all([
-    fetch("ResourcesMaster.csv", { cache: "no-store" }),
-    fetch("ResourcesPlanet.csv", { cache: "no-store" }),
+    fetch(MASTER_FILE, { cache: "no-cache" }),
+    fetch(PLANET_FILE, { cache: "no-cache" }),
   ]);
 
   if (!masterRes.ok) throw new Error("Could not load ResourcesMaster.csv (put it next to index.html).");
   if (!planetRes.ok) throw new Error("Could not load ResourcesPlanet.csv (put it next to index.html).");
 
-  const masterText = await masterRes.text();
-  const planetText = await planetRes.text();
-
-  const master = parseCsv(masterText);
-  const planet = parseCsv(planetText);
-
-  MASTER_ROWS = [];
-
-  // Build explicit rows and node meta
-  NODE_META = new Map();
-  EXPLICIT = new Map();
-
-  for (const row of master) {
-    const resource = String(row.resource ?? row.Resource ?? "").trim();
-    const node = String(row.node ?? row.Node ?? "").trim();
-    const planetName = String(row.planet ?? row.Planet ?? "").trim();
-    const missionType = String(row.missionType ?? row.MissionType ?? "").trim();
-    const isEndless = String(row.isEndless ?? row.IsEndless ?? "").trim().toLowerCase() === "true";
-    const speedScore = Number(row.speedScore ?? row.SpeedScore ?? 0) || 0;
-    const dropScore = Number(row.dropScore ?? row.DropScore ?? 0) || 0;
-
-    if (!resource || !node) continue;
-
-    const rKey = norm(resource);
-    const nKey = norm(node);
-
-    MASTER_ROWS.push({
-      resource,
-      node,
-      planet: planetName,
-      missionType,
-      isEndless,
-      speedScore,
-      dropScore,
-      rKey,
-      nKey,
-      pKey: norm(planetName),
+  return {
+    master: { name: MASTER_FILE, text: await masterRes.text() },
+    planet: { name: PLANET_FILE, text: await planetRes.text() },
+  };
+}
+
+async function fetchOptionalCsv(file) {
+  // Recipes and planet links are optional: without them the features stay empty
+  try {
+    const res = await fetch(file, { cache: "no-cache" });
+    return res.ok ? await res.text() : "";
+  } catch {
+    return "";
+  }
+}
+
+async function loadData() {
+  const bundled = await fetchBundledCsv();
+  const [recipeText, linksText] = await Promise.all([fetchOptionalCsv(RECIPE_FILE), fetchOptionalCsv(LINKS_FILE)]);
+  DATA_VERSION = dataVersion([bundled.master.text, bundled.planet.text, recipeText, linksText]);
+  CUSTOM_DATASET = await loadCustomDataset();
+  const { master, planet } = resolveDataset(bundled, CUSTOM_DATASET);
+  indexDataset({
+    master,
+    planet,
+    recipes: parseCsv(recipeText, RECIPE_FILE),
+    links: parseCsv(linksText, LINKS_FILE),
+  });
+}
+
+
+// ----------------------------
+// Custom datasets (IndexedDB)
+// ----------------------------
+// One record ("active") holds the imported CSV texts:
+// { mode: "replace" | "merge", master: { name, text } | null, planet: { name, text } | null, savedAt }
+const DATASET_DB = "wfFarmPlanner";
+const DATASET_STORE = "datasets";
+const DATASET_KEY = "active";
+
+function openDatasetDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DATASET_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DATASET_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function datasetDbRequest(mode, fn) {
+  const db = await openDatasetDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const req = fn(db.transaction(DATASET_STORE, mode).objectStore(DATASET_STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
     });
+  } finally {
+    db.close();
+  }
+}
 
-    // node meta (first one wins, assume consistent)
-    if (!NODE_META.has(nKey)) {
-      NODE_META.set(nKey, {
-        node,
-        planet: planetName,
-        planetKey: norm(planetName),
-        missionType: missionType || "Other",
-        isEndless,
-        // speedScore in meta is not perfect (differs by row sometimes),
-        // but is good enough as a general preference signal.
-        speedScore,
-      });
-    }
+async function loadCustomDataset() {
+  if (typeof indexedDB === "undefined") return null;
+  try {
+    return (await datasetDbRequest("readonly", store => store.get(DATASET_KEY))) || null;
+  } catch {
+    return null; // private mode etc.: bundled data still works
+  }
+}
+
+function saveCustomDataset(record) {
+  return datasetDbRequest("readwrite", store => store.put(record, DATASET_KEY));
+}
+
+function clearCustomDataset() {
+  return datasetDbRequest("readwrite", store => store.delete(DATASET_KEY));
+}
 
-    if (!EXPLICIT.has(rKey)) EXPLICIT.set(rKey, new Map());
-    EXPLICIT.get(rKey).set(nKey, { dropScore, speedScore, isEndless });
+function detectCsvKind(text) {
+  // Decide by header, not file name: users rename exports freely
+  const header = String(text.split("\n")[0] || "")
+    .split(",")
+    .map(h => norm(h.replaceAll("\"", "")));
+  if (header.includes("node") && header.includes("resource")) return "master";
+  if (header.includes("planet") && header.includes("resources")) return "planet";
+  return null;
+}
+
+function readDatasetMode() {
+  const el = document.querySelector("input[name='datasetMode']:checked");
+  return el ? el.value : "merge"; // "merge" | "replace"
+}
+
+async function importDatasetFiles(files) {
+  const next = {
+    mode: readDatasetMode(),
+    master: CUSTOM_DATASET?.master || null,
+    planet: CUSTOM_DATASET?.planet || null,
+    savedAt: new Date().toISOString(),
+  };
+
+  const rejected = [];
+  for (const file of files) {
+    const text = await file.text();
+    const kind = detectCsvKind(text);
+    if (kind) next[kind] = { name: file.name, text };
+    else rejected.push(file.name);
   }
 
-  // Unique resources list (from explicit only)
-  const uniqueResources = new Map(); // rKey -> displayName (first)
-  for (const r of MASTER_ROWS) {
-    if (!uniqueResources.has(r.rKey)) uniqueResources.set(r.rKey, r.resource);
+  if (rejected.length) {
+    setOutputMessage(`Not a master or planet CSV (check the header row): ${rejected.join(", ")}`);
+    if (!next.master && !next.planet) return;
+  }
+
+  try {
+    await saveCustomDataset(next);
+    await reloadDataset("Custom dataset loaded.");
+  } catch (e) {
+    setOutputMessage(`Could not store the dataset: ${e.message || e}`);
   }
-  RESOURCES = [...uniqueResources.values()].sort((a, b) => a.localeCompare(b));
+}
 
-  // Planet drops: resource -> set(planets)
-  PLANET_DROPS = new Map();
-  for (const row of planet) {
-    const planetName = String(row.planet ?? row.Planet ?? "").trim();
-    const resources = String(row.resources ?? row.Resources ?? "").trim();
+async function changeDatasetMode() {
+  if (!CUSTOM_DATASET) return;
+  try {
+    await saveCustomDataset({ ...CUSTOM_DATASET, mode: readDatasetMode() });
+    await reloadDataset(`Custom dataset now ${readDatasetMode() === "merge" ? "merged over" : "replacing"} the bundled data.`);
+  } catch (e) {
+    setOutputMessage(`Could not store the dataset: ${e.message || e}`);
+  }
+}
 
-    if (!planetName) continue;
+async function resetDataset() {
+  try {
+    await clearCustomDataset();
+    await reloadDataset("Back to the bundled dataset.");
+  } catch (e) {
+    setOutputMessage(`Could not reset the dataset: ${e.message || e}`);
+  }
+}
 
-    const pKey = norm(planetName);
-    const list = resources
-      .split(",")
-      .map(s => s.trim())
-      .filter(Boolean);
+function renderDatasetStatus() {
+  const el = document.getElementById("datasetStatus");
+  document.getElementById("resetDatasetBtn").disabled = !CUSTOM_DATASET;
 
-    for (const r of list) {
-      const rKey = norm(r);
-      if (!PLANET_DROPS.has(rKey)) PLANET_DROPS.set(rKey, new Set());
-      PLANET_DROPS.get(rKey).add(pKey);
-    }
+  if (!CUSTOM_DATASET) {
+    el.textContent = "Active: bundled CSVs.";
+    return;
   }
+
+  setRadio("datasetMode", CUSTOM_DATASET.mode);
+  const files = [CUSTOM_DATASET.master, CUSTOM_DATASET.planet].filter(Boolean).map(f => f.name).join(" + ");
+  const how = CUSTOM_DATASET.mode === "merge" ? "merged over bundled" : "replacing bundled";
+  el.textContent = `Active: ${files} (${how}, saved ${new Date(CUSTOM_DATASET.savedAt).toLocaleString()}).`;
 }
 
 // ----------------------------
 // UI: resource list
 // ----------------------------
 function getSelectedResources() {
-  // Return display names from RESOURCES that are selected in state
+  // Return display names from RESOURCES that are selected in state,
+  // skipping the ones the inventory already covers
   const selected = [];
   for (const r of RESOURCES) {
-    if (SELECTED_KEYS.has(norm(r))) selected.push(r);
+    const rKey = norm(r);
+    if (SELECTED_KEYS.has(rKey) && !isTargetMet(rKey)) selected.push(r);
   }
   return selected;
 }
 
+
+function resourceIcon(r) {
+  const icon = document.createElement("img");
+  icon.className = "resIcon";
+  icon.alt = "";
+  icon.loading = "lazy";
+  icon.decoding = "async";
+  icon.src = `icons/resources/${resourceIconName(r)}.png`;
+  icon.onerror = () => {
+    icon.src = "icons/resources/_default.png";
+  };
+  return icon;
+}
+
 function populateResources() {
   const wrap = document.getElementById("resourceList");
   const filter = document.getElementById("resourceFilter").value.trim().toLowerCase();
@@ -274,27 +363,59 @@ function populateResources() {
 
     const row = document.createElement("label");
     row.className = "check";
+    if (isTargetMet(rKey)) {
+      row.classList.add("met");
+      row.title = "Inventory already covers the target";
+    }
 
     const cb = document.createElement("input");
     cb.type = "checkbox";
     cb.value = r; // display
     cb.checked = SELECTED_KEYS.has(rKey);
 
+    // Target amount, only shown for selected resources
+    const qty = document.createElement("input");
+    qty.type = "number";
+    qty.className = "qty";
+    qty.min = "0";
+    qty.step = "1";
+    qty.placeholder = "Qty";
+    qty.title = `Target amount of ${r}`;
+    qty.value = SETTINGS.targets.has(rKey) ? String(SETTINGS.targets.get(rKey)) : "";
+    qty.hidden = !cb.checked;
+
+    // Priority weighs the resource in route scores; only non-default priorities are stored
+    const prio = document.createElement("select");
+    prio.className = "prio";
+    prio.title = `Priority of ${r}: must-haves are covered first and weigh more in route scores`;
+    prio.innerHTML = PRIORITIES.map(p => `<option value="${p.id}">${escapeHtml(p.label)}</option>`).join("");
+    prio.value = SETTINGS.priorities.get(rKey) || DEFAULT_PRIORITY;
+    prio.hidden = !cb.checked;
+
+    prio.addEventListener("change", () => {
+      if (prio.value === DEFAULT_PRIORITY) SETTINGS.priorities.delete(rKey);
+      else SETTINGS.priorities.set(rKey, prio.value);
+      saveSelection();
+    });
+
+    qty.addEventListener("input", () => {
+      const n = Math.floor(Number(qty.value));
+      if (n > 0) SETTINGS.targets.set(rKey, n);
+      else SETTINGS.targets.delete(rKey);
+      row.classList.toggle("met", isTargetMet(rKey));
+      saveSelection();
+    });
+
     cb.addEventListener("change", () => {
       if (cb.checked) SELECTED_KEYS.add(rKey);
       else SELECTED_KEYS.delete(rKey);
+      qty.hidden = !cb.checked;
+      prio.hidden = !cb.checked;
+      saveSelection();
+      renderStarMap();
     });
 
-    const icon = document.createElement("img");
-    icon.className = "resIcon";
-    icon.alt = "";
-    icon.loading = "lazy";
-    icon.decoding = "async";
-    icon.src = `icons/resources/${resourceIconName(r)}.png`;
-    icon.onerror = () => {
-      icon.src = "icons/resources/_default.png";
-    };
-
+    const icon = resourceIcon(r);
 
     const text = document.createElement("span");
     text.textContent = r;
@@ -304,8 +425,12 @@ function populateResources() {
     
     wrap.appendChild(row);
     row.appendChild(cb);
+    // after the checkbox so the label keeps toggling it (CSS puts them back in front)
+    row.appendChild(qty);
+    row.appendChild(prio);
 
   }
+  renderStarMap();
 }
 
 
@@ -321,261 +446,480 @@ function selectAllResources(value) {
     else SELECTED_KEYS.delete(rKey);
   }
 
+  saveSelection();
   populateResources();
 }
 
 
 // ----------------------------
-// Toggles
+// UI: node lookup
 // ----------------------------
-function readGoalMode() {
-  const el = document.querySelector("input[name='goalMode']:checked");
-  return el ? el.value : "efficiency"; // "efficiency" | "stops"
-}
+const NODE_LOOKUP_LIMIT = 5;
 
-function readRunMode() {
-  const el = document.querySelector("input[name='runMode']:checked");
-  return el ? el.value : "quick"; // "quick" | "endless"
+function renderNodeLookup() {
+  const wrap = document.getElementById("nodeLookup");
+  const query = document.getElementById("nodeQuery").value;
+  const matches = findNodes(query);
+
+  if (!query.trim()) {
+    wrap.innerHTML = `<div class="subtle small">Type a node to see everything it drops.</div>`;
+    return;
+  }
+  if (matches.length === 0) {
+    wrap.innerHTML = `<div class="subtle small">No node matches "${escapeHtml(query.trim())}".</div>`;
+    return;
+  }
+
+  const cards = matches.slice(0, NODE_LOOKUP_LIMIT).map(nKey => {
+    const meta = NODE_META.get(nKey);
+    const drops = nodeDrops(nKey);
+    const chips = drops.map(d => d.via === "explicit"
+      ? `<span class="chip" title="dropScore ${d.dropScore} (explicit data)">${escapeHtml(d.resource)} <span class="monoSmall">${d.dropScore}</span></span>`
+      : `<span class="chip fallback" title="From planet fallback (no explicit drop row)">${escapeHtml(d.resource)} <span class="monoSmall">planet</span></span>`
+    ).join("");
+    return `
+      <div class="card">
+        <div class="cardTop">
+          <div class="cardTitle">${escapeHtml(meta.node)}</div>
+          <span class="badge type">${meta.isEndless ? "Endless" : "Quick"}</span>
+        </div>
+        <div class="monoSmall">${escapeHtml(`${meta.planet} • ${meta.missionType} • speedScore ${meta.speedScore}`)}</div>
+        <div class="chips">${chips || `<span class="subtle small">No known drops.</span>`}</div>
+        ${drops.length ? `<button class="ghost" data-select-node="${escapeHtml(nKey)}">Select all ${drops.length}</button>` : ""}
+      </div>
+    `;
+  }).join("");
+
+  const more = matches.length > NODE_LOOKUP_LIMIT
+    ? `<div class="subtle small">+${matches.length - NODE_LOOKUP_LIMIT} more, keep typing to narrow it down.</div>`
+    : "";
+  wrap.innerHTML = cards + more;
+
+  for (const btn of wrap.querySelectorAll("[data-select-node]")) {
+    btn.addEventListener("click", () => selectNodeDrops(btn.dataset.selectNode));
+  }
 }
 
-function quickMultiplier(speedScore) {
-  // speedScore is 1-5; keep bias meaningful but not dominant
-  const s = Math.max(0, Math.min(5, Number(speedScore) || 0));
-  return 0.6 + 0.4 * (s / 5);
+function selectNodeDrops(nKey) {
+  const drops = nodeDrops(nKey);
+  for (const d of drops) SELECTED_KEYS.add(d.rKey);
+  saveSelection();
+  populateResources();
+  setOutputMessage(`Selected ${drops.length} resource(s) from ${NODE_META.get(nKey).node}. Calculate to plan them.`);
 }
 
 // ----------------------------
-// Scoring helpers
+// UI: inventory
 // ----------------------------
-function getExplicitScore(rKey, nKey) {
-  const map = EXPLICIT.get(rKey);
-  if (!map) return null;
-  return map.get(nKey) || null;
-}
+function populateInventory() {
+  const wrap = document.getElementById("inventoryList");
+  wrap.innerHTML = "";
 
-function planetHasResourceFallback(rKey, planetKey) {
-  const set = PLANET_DROPS.get(rKey);
-  return Boolean(set && set.has(planetKey));
-}
+  for (const r of RESOURCES) {
+    const rKey = norm(r);
 
-function computeEffScore(scoreObj, runMode, meta) {
-  const dropScore = Number(scoreObj.dropScore) || 0;
-  const speedScore = Number(scoreObj.speedScore) || 0;
+    const row = document.createElement("label");
+    row.className = "check";
 
-  if (runMode === "quick") {
-    const qm = quickMultiplier(speedScore);
-    const mm = quickMissionMultiplier(meta?.missionType || "", meta?.isEndless);
-    return dropScore * qm * mm;
-  }
+    const owned = document.createElement("input");
+    owned.type = "number";
+    owned.className = "qty";
+    owned.min = "0";
+    owned.step = "1";
+    owned.placeholder = "0";
+    owned.title = `Owned ${r}`;
+    owned.value = SETTINGS.owned.has(rKey) ? String(SETTINGS.owned.get(rKey)) : "";
+
+    owned.addEventListener("change", () => {
+      const n = Math.floor(Number(owned.value));
+      if (n > 0) SETTINGS.owned.set(rKey, n);
+      else SETTINGS.owned.delete(rKey);
+      saveInventory();
+      populateResources(); // refresh "target met" markers
+    });
+
+    const text = document.createElement("span");
+    text.textContent = r;
 
-  // endless mode: no need to bias by mission type because it's already filtered
-  return dropScore;
+    row.appendChild(resourceIcon(r));
+    row.appendChild(text);
+    row.appendChild(owned);
+    wrap.appendChild(row);
+  }
 }
 
-function nodeEligibleByRunMode(nMeta, runMode) {
-  if (runMode === "endless") return Boolean(nMeta.isEndless);
-  return true;
+function exportInventory() {
+  // Display names keep the file readable and stable across dataset changes
+  const inventory = {};
+  for (const r of RESOURCES) {
+    const n = SETTINGS.owned.get(norm(r));
+    if (n > 0) inventory[r] = n;
+  }
+  const json = JSON.stringify({ version: 1, inventory }, null, 2);
+  downloadText("warframe-inventory.json", json, "application/json");
 }
 
-function formatNodeLine(nMeta) {
-  const mt = nMeta.missionType || "Other";
-  const endTag = nMeta.isEndless ? "Endless" : "Quick";
-  return `${nMeta.node} (${nMeta.planet}) • ${mt} • ${endTag}`;
+async function importInventory(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const inventory = data && typeof data.inventory === "object" ? data.inventory : data;
+
+    const next = new Map();
+    for (const [name, value] of Object.entries(inventory || {})) {
+      const n = Math.floor(Number(value));
+      if (n > 0) next.set(norm(name), n);
+    }
+
+    SETTINGS.owned = next;
+    saveInventory();
+    populateInventory();
+    populateResources();
+  } catch (e) {
+    setOutputMessage(`Could not import inventory: ${e.message || e}`);
+  }
 }
 
-function quickMissionMultiplier(missionType, isEndless) {
-  const mt = norm(missionType);
 
-  // Strongly quick-friendly
-  if (mt.includes("capture")) return 1.40;
-  if (mt.includes("exterminate")) return 1.30;
-  if (mt.includes("rescue")) return 1.22;
-  if (mt.includes("sabotage")) return 1.18;
+// ----------------------------
+// UI: crafting goals
+// ----------------------------
+function populateCrafting() {
+  const wrap = document.getElementById("craftList");
+  const filter = document.getElementById("craftFilter").value.trim().toLowerCase();
+  wrap.innerHTML = "";
+
+  const items = [...RECIPES.entries()].sort((a, b) => a[1].name.localeCompare(b[1].name));
+  if (items.length === 0) {
+    wrap.innerHTML = `<div class="subtle small">No ${RECIPE_FILE} found next to index.html.</div>`;
+  }
+
+  for (const [itemKey, recipe] of items) {
+    if (filter && !recipe.name.toLowerCase().includes(filter)) continue;
 
-  // Moderate
-  if (mt.includes("spy")) return 1.10;
-  if (mt.includes("disruption")) return 1.08;
-  if (mt.includes("activity")) return 1.20; // Index, etc.
+    const row = document.createElement("label");
+    row.className = "check";
 
-  // Usually slower or rotation-based
-  if (mt.includes("survival")) return 0.90;
-  if (mt.includes("defense")) return 0.86;
-  if (mt.includes("interception")) return 0.85;
-  if (mt.includes("excavation")) return 0.92;
-  if (mt.includes("mobile defense")) return 0.82;
+    const qty = document.createElement("input");
+    qty.type = "number";
+    qty.className = "qty";
+    qty.min = "0";
+    qty.step = "1";
+    qty.placeholder = "0";
+    qty.title = `How many ${recipe.name} to craft`;
+    qty.value = CRAFT_GOALS.has(itemKey) ? String(CRAFT_GOALS.get(itemKey)) : "";
+
+    qty.addEventListener("change", () => {
+      const n = Math.floor(Number(qty.value));
+      if (n > 0) CRAFT_GOALS.set(itemKey, n);
+      else CRAFT_GOALS.delete(itemKey);
+      saveCrafting();
+      renderCraftingSummary();
+    });
 
-  // Default neutral
-  let mult = 1.0;
+    const text = document.createElement("span");
+    text.textContent = recipe.name;
+    text.title = recipe.parts.map(p => `${p.qty} × ${p.name}`).join("\n");
 
-  // Small universal penalty for endless when user asked "Quick"
-  if (isEndless) mult *= 0.92;
+    row.appendChild(text);
+    row.appendChild(qty);
+    wrap.appendChild(row);
+  }
 
-  return mult;
+  renderCraftingSummary();
 }
 
+function renderCraftingSummary() {
+  const out = document.getElementById("craftSummary");
+  const { totals, external, cycles } = expandCrafting(CRAFT_GOALS);
+  document.getElementById("applyCraftBtn").disabled = totals.size === 0;
 
-// ----------------------------
-// Output: close-score grouping
-// ----------------------------
-function pickTopOptions(scoredList, maxOptions = 3) {
-  // scoredList: [{ nodeKey, score, ... }, ...] sorted desc by score
-  if (scoredList.length === 0) return [];
-  const best = scoredList[0].score;
-  const out = [];
-  for (const it of scoredList) {
-    if (out.length >= maxOptions) break;
-    if (it.score >= best * 0.9) out.push(it); // 90% rule
+  if (totals.size === 0 && external.size === 0) {
+    out.innerHTML = `<div class="subtle small">Set amounts above to see the resources they need.</div>`;
+    return;
   }
-  return out;
+
+  const names = new Map(RESOURCES.map(r => [norm(r), r]));
+  const fmt = ([name, qty]) => `${escapeHtml(name)} ×${qty.toLocaleString()}`;
+  const farm = [...totals].map(([k, qty]) => [names.get(k) || k, qty]).sort((a, b) => a[0].localeCompare(b[0]));
+  const other = [...external].sort((a, b) => a[0].localeCompare(b[0]));
+
+  out.innerHTML = `
+    ${farm.length ? `<div class="small"><b>Farm:</b> ${farm.map(fmt).join(", ")}</div>` : ""}
+    ${other.length ? `<div class="subtle small"><b>Not in the farming dataset:</b> ${other.map(fmt).join(", ")}</div>` : ""}
+    ${cycles.length ? `<div class="subtle small warn">Recipe loop skipped: ${cycles.map(escapeHtml).join("; ")}</div>` : ""}
+  `;
+}
+
+function applyCraftingGoals() {
+  // Adds the expanded resources to the selection; their targets are replaced by the crafting totals
+  const { totals } = expandCrafting(CRAFT_GOALS);
+  for (const [rKey, qty] of totals) {
+    SELECTED_KEYS.add(rKey);
+    SETTINGS.targets.set(rKey, qty);
+  }
+  saveSelection();
+  populateResources();
 }
 
+
 // ----------------------------
-// Planner modes
+// UI: star chart progress
 // ----------------------------
-function planMaximizeEfficiency(selectedResources, runMode) {
-  // For each resource: pick best node(s) from explicit list only
-  const results = [];
+function populateProgress() {
+  const wrap = document.getElementById("progressList");
+  wrap.innerHTML = "";
 
-  for (const rName of selectedResources) {
-    const rKey = norm(rName);
-    const explicitMap = EXPLICIT.get(rKey);
+  // nodes grouped by planet, in dataset order
+  const nodesByPlanet = new Map();
+  for (const [nKey, meta] of NODE_META) {
+    if (!nodesByPlanet.has(meta.planetKey)) nodesByPlanet.set(meta.planetKey, []);
+    nodesByPlanet.get(meta.planetKey).push({ nKey, meta });
+  }
 
-    if (!explicitMap || explicitMap.size === 0) {
-      results.push({
-        resource: rName,
-        options: [],
-        note: "No explicit data for this resource.",
+  for (const p of PLANETS) {
+    const group = document.createElement("div");
+    group.className = "progPlanet";
+
+    const head = document.createElement("label");
+    head.className = "progHead";
+    const planetCb = document.createElement("input");
+    planetCb.type = "checkbox";
+    planetCb.checked = !SETTINGS.lockedPlanets.has(p.key);
+    const planetName = document.createElement("span");
+    planetName.textContent = p.name;
+    head.appendChild(planetCb);
+    head.appendChild(planetName);
+    group.appendChild(head);
+
+    const nodeWrap = document.createElement("div");
+    nodeWrap.className = "progNodes";
+    const nodeCbs = [];
+
+    for (const { nKey, meta } of (nodesByPlanet.get(p.key) || []).sort((a, b) => a.meta.node.localeCompare(b.meta.node))) {
+      const item = document.createElement("label");
+      item.className = "progNode";
+      const cb = document.createElement("input");
+      cb.type = "checkbox";
+      cb.checked = !SETTINGS.lockedNodes.has(nKey);
+      cb.disabled = !planetCb.checked;
+      cb.addEventListener("change", () => {
+        if (cb.checked) SETTINGS.lockedNodes.delete(nKey);
+        else SETTINGS.lockedNodes.add(nKey);
+        saveProgress();
       });
-      continue;
+      const name = document.createElement("span");
+      name.textContent = meta.node;
+      item.appendChild(cb);
+      item.appendChild(name);
+      nodeWrap.appendChild(item);
+      nodeCbs.push(cb);
     }
 
-    // Score all candidates (filter endless if needed)
-    const scored = [];
-    for (const [nKey, s] of explicitMap.entries()) {
-      const meta = NODE_META.get(nKey);
-      if (!meta) continue;
-      if (!nodeEligibleByRunMode(meta, runMode)) continue;
+    planetCb.addEventListener("change", () => {
+      if (planetCb.checked) SETTINGS.lockedPlanets.delete(p.key);
+      else SETTINGS.lockedPlanets.add(p.key);
+      nodeCbs.forEach(cb => { cb.disabled = !planetCb.checked; });
+      saveProgress();
+    });
 
-      const eff = computeEffScore(s, runMode, meta);
-      scored.push({ nodeKey: nKey, score: eff });
-    }
+    group.appendChild(nodeWrap);
+    wrap.appendChild(group);
+  }
+}
+
+function unlockAllProgress() {
+  SETTINGS.lockedPlanets = new Set();
+  SETTINGS.lockedNodes = new Set();
+  saveProgress();
+  populateProgress();
+}
 
-    scored.sort((a, b) => b.score - a.score);
-    const options = pickTopOptions(scored, 3).map(o => ({
-      ...o,
-      meta: NODE_META.get(o.nodeKey),
-      score: o.score,
-    }));
+// ----------------------------
+// UI: scoring weights
+// ----------------------------
 
-    results.push({ resource: rName, options });
+function restoreWeights() {
+  // Saved values sit on top of the defaults, so new default types still show up
+  const saved = loadStored("weights", {});
+  const w = defaultWeights();
+  for (const [type, value] of Object.entries(saved.missions || {})) {
+    if (Number.isFinite(value) && value >= 0) w.missions.set(type, value);
   }
+  for (const key of ["endlessPenalty", "speedMin", "speedMax"]) {
+    if (Number.isFinite(saved[key]) && saved[key] >= 0) w[key] = saved[key];
+  }
+  SETTINGS.weights = w;
+}
+
+function saveWeights() {
+  saveStored("weights", {
+    missions: Object.fromEntries(SETTINGS.weights.missions),
+    endlessPenalty: SETTINGS.weights.endlessPenalty,
+    speedMin: SETTINGS.weights.speedMin,
+    speedMax: SETTINGS.weights.speedMax,
+  });
+}
+
+function resetWeights() {
+  SETTINGS.weights = defaultWeights();
+  removeStored("weights");
+  populateWeights();
+}
 
-  return results;
+function weightInput(value, title, onChange) {
+  // value null = no weight of its own yet (shown empty)
+  const show = v => (v === null ? "" : v.toFixed(2));
+  const input = document.createElement("input");
+  input.type = "number";
+  input.className = "qty";
+  input.min = "0";
+  input.step = "0.01";
+  input.title = title;
+  input.value = show(value);
+  input.addEventListener("change", () => {
+    const n = Number(input.value);
+    if (input.value.trim() === "" || !Number.isFinite(n) || n < 0) {
+      input.value = show(value); // reject, keep the last good value
+      return;
+    }
+    value = n;
+    onChange(n);
+    saveWeights();
+  });
+  return input;
 }
 
-function planMinimizeStops(selectedResources, runMode) {
-  const remaining = new Set(selectedResources.map(norm));
-  const rDisplay = new Map(selectedResources.map(r => [norm(r), r]));
+function weightRow(labelText, input) {
+  const row = document.createElement("label");
+  row.className = "check";
+  const text = document.createElement("span");
+  text.textContent = labelText;
+  row.appendChild(text);
+  row.appendChild(input);
+  return row;
+}
 
-  const route = [];
-  const maxStops = 6;
+function populateWeights() {
+  const wrap = document.getElementById("weightsList");
+  wrap.innerHTML = "";
 
-  // Candidate nodes: union of nodes explicit for any selected resource
-  const candidateNodes = new Set();
-  for (const rKey of remaining) {
-    const map = EXPLICIT.get(rKey);
-    if (!map) continue;
-    for (const nKey of map.keys()) candidateNodes.add(nKey);
+  // Mission types present in the dataset. A type without its own weight is neutral
+  // (or gets the endless penalty) until the user enters one.
+  const weights = SETTINGS.weights;
+  const types = [...new Set([...NODE_META.values()].map(m => norm(m.missionType)))].sort();
+  // A type that borrows another type's weight says so: editing it changes that shared weight
+  for (const type of types) {
+    const key = missionWeightKey(type) || type;
+    const current = weights.missions.has(key) ? weights.missions.get(key) : null;
+    const shared = key !== type ? ` (uses the ${titleCase(key)} weight)` : "";
+    const input = weightInput(current, `Quick-run multiplier for ${type}${shared}`, n => weights.missions.set(key, n));
+    if (current === null) input.placeholder = "auto";
+    wrap.appendChild(weightRow(`${titleCase(type)}${shared}`, input));
   }
 
-  const candidates = [...candidateNodes].filter(nKey => {
-    const meta = NODE_META.get(nKey);
-    if (!meta) return false;
-    return nodeEligibleByRunMode(meta, runMode);
-  });
+  wrap.appendChild(weightRow("Endless penalty (types without a weight)",
+    weightInput(weights.endlessPenalty, "Multiplier for endless nodes in Quick run", n => { weights.endlessPenalty = n; })));
+  wrap.appendChild(weightRow("Speed bias, slowest node",
+    weightInput(weights.speedMin, "quickMultiplier at speedScore 0", n => { weights.speedMin = n; })));
+  wrap.appendChild(weightRow("Speed bias, fastest node",
+    weightInput(weights.speedMax, "quickMultiplier at speedScore 5", n => { weights.speedMax = n; })));
+}
 
-  while (remaining.size > 0 && route.length < maxStops) {
-    const scored = [];
-
-    for (const nKey of candidates) {
-      const meta = NODE_META.get(nKey);
-      if (!meta) continue;
-
-      let total = 0;
-      const covered = [];
-
-      for (const rKey of remaining) {
-        const explicit = getExplicitScore(rKey, nKey);
-        if (explicit) {
-          const eff = computeEffScore(explicit, runMode, meta);
-          if (eff > 0) {
-            total += eff;
-            covered.push({
-              resource: rDisplay.get(rKey) || rKey,
-              via: "explicit",
-              score: eff,
-            });
-          }
-          continue;
-        }
-
-        // Planet fallback
-        if (planetHasResourceFallback(rKey, meta.planetKey)) {
-          let fb = FALLBACK_SCORE;
-          if (runMode === "quick") {
-            fb *= quickMultiplier(meta.speedScore);
-            fb *= quickMissionMultiplier(meta.missionType || "", meta.isEndless);
-          }
-          total += fb;
-          covered.push({
-            resource: rDisplay.get(rKey) || rKey,
-            via: "planet",
-            score: fb,
-          });
-        }
-      }
+// ----------------------------
+// Toggles
+// ----------------------------
+function readGoalMode() {
+  const el = document.querySelector("input[name='goalMode']:checked");
+  return el ? el.value : "efficiency"; // "efficiency" | "stops" | "balanced" | "budget"
+}
+
+function readBalance() {
+  const n = Number(document.getElementById("balance")?.value);
+  return Number.isFinite(n) ? n : DEFAULT_BALANCE;
+}
 
-      if (covered.length === 0) continue;
+function setBalance(n) {
+  document.getElementById("balance").value = String(n);
+  document.getElementById("balanceValue").textContent = String(n);
+}
 
-      scored.push({
-        nodeKey: nKey,
-        score: total,
-        meta,
-        covered,
-      });
-    }
+function readBudget() {
+  const n = Number(document.getElementById("budgetMinutes")?.value);
+  return n > 0 ? Math.min(n, MAX_BUDGET_MINUTES) : DEFAULT_BUDGET_MINUTES;
+}
+
+function readRunMode() {
+  const el = document.querySelector("input[name='runMode']:checked");
+  return el ? el.value : "quick"; // "quick" | "endless"
+}
 
-    scored.sort((a, b) => b.score - a.score);
+function readEndlessStay() {
+  const value = Number(document.getElementById("stayValue")?.value);
+  const unit = document.getElementById("stayUnit")?.value === "rotations" ? "rotations" : "minutes";
+  return value > 0 ? { value, unit } : { value: DEFAULT_STAY_MINUTES, unit: "minutes" };
+}
 
-    const top = pickTopOptions(scored, 3);
-    if (top.length === 0) break;
+function readMaxStops() {
+  const el = document.getElementById("maxStops");
+  const n = Math.floor(Number(el?.value));
+  return n >= 1 ? n : DEFAULT_MAX_STOPS;
+}
 
-    // Best option determines what gets covered for the greedy loop
-    const best = top[0];
 
-    // Remove covered resources (based on best option)
-    for (const c of best.covered) {
-      remaining.delete(norm(c.resource));
-    }
+// ----------------------------
+// UI: drop modifiers
+// ----------------------------
+function populateModifiers() {
+  const wrap = document.getElementById("modifierList");
+  wrap.innerHTML = "";
 
-    route.push({
-      options: top.map(opt => ({
-        nodeKey: opt.nodeKey,
-        score: opt.score,
-        meta: opt.meta,
-        covered: opt.covered,
-      })),
+  for (const mod of DROP_MODIFIERS) {
+    const row = document.createElement("label");
+    row.className = "check";
+
+    const text = document.createElement("span");
+    text.textContent = `${mod.label} ×${mod.mult}`;
+    text.title = `Applies to ${mod.sources.join(" and ")} drops`;
+
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = SETTINGS.modifiers.has(mod.id);
+    cb.addEventListener("change", () => {
+      if (cb.checked) SETTINGS.modifiers.add(mod.id);
+      else SETTINGS.modifiers.delete(mod.id);
+      saveModifiers();
     });
-  }
 
-  const missing = [...remaining].map(rKey => rDisplay.get(rKey) || rKey);
-  return { route, missing };
+    row.appendChild(text);
+    row.appendChild(cb);
+    wrap.appendChild(row);
+  }
 }
 
 
 // ----------------------------
 // Rendering
 // ----------------------------
+function renderWhy(o) {
+  // Expandable breakdown: one factor line per covered resource, then the stop total
+  const covered = o.covered || [{ resource: "", via: "explicit", factors: o.factors }];
+  const lines = covered.map(c => {
+    const name = c.resource ? `${c.resource} (${c.via === "planet" ? "planet fallback" : "explicit"}): ` : "";
+    return `<div>${escapeHtml(name + formatFactors(c.factors))}</div>`;
+  });
+  if (covered.length > 1) lines.push(`<div>Sum: ${escapeHtml(o.score.toFixed(2))}</div>`);
+  return `<details class="why"><summary>Why this node</summary><div class="monoSmall">${lines.join("")}</div></details>`;
+}
+
+function renderCut(cut) {
+  // Candidates the 90% rule (or the option limit) left out of this card
+  if (!cut || cut.length === 0) return "";
+  const lines = cut.map(c =>
+    `<div>${escapeHtml(formatNodeLine(c.meta))} — ${escapeHtml(c.score.toFixed(2))}: ${escapeHtml(c.reason)}</div>`
+  ).join("");
+  return `<details class="why"><summary>Not listed (${cut.length})</summary><div class="monoSmall">${lines}</div></details>`;
+}
+
 function renderEfficiencyPlan(results, runMode) {
   const out = document.getElementById("output");
 
@@ -594,59 +938,126 @@ function renderEfficiencyPlan(results, runMode) {
 
     const opts = r.options.map((o, idx) => {
       const line = formatNodeLine(o.meta);
-      const scoreTxt = o.score.toFixed(2);
+      const scoreTxt = formatScore(o);
       const rankTag = idx === 0 ? `<span class="badge ds">Best</span>` : `<span class="badge type">Alt</span>`;
+      const estTxt = o.estimate
+        ? ` • <span class="monoSmall">${escapeHtml(formatEstimate(o.estimate))}</span>`
+        : "";
+      const stayTxt = o.stay ? `<div class="altSub">${escapeHtml(formatStay(o.stay))}</div>` : "";
+      const logged = farmLogSummary(norm(r.resource), o.nodeKey);
+      const loggedTxt = logged ? `<div class="altSub monoSmall">${escapeHtml(formatLogged(logged))}</div>` : "";
       return `
         <div class="altItem">
           <div class="altTop">
             <span>${escapeHtml(line)}</span>
             ${rankTag}
           </div>
-          <div class="altSub">Score: <span class="monoSmall">${escapeHtml(scoreTxt)}</span></div>
+          <div class="altSub">Score: <span class="monoSmall">${escapeHtml(scoreTxt)}</span>${estTxt}</div>
+          ${stayTxt}
+          ${loggedTxt}
+          ${renderWhy(o)}
         </div>
       `;
     }).join("");
 
+    const need = neededAmount(norm(r.resource));
+    const targetTag = need ? `<span class="badge">×${escapeHtml(need.toLocaleString())}</span>` : "";
+
     return `
       <div class="card">
         <div class="cardTop">
           <div class="cardTitle">${escapeHtml(r.resource)}</div>
-          <span class="badge type">${escapeHtml(runMode === "endless" ? "Endless" : "Quick")}</span>
+          <div class="rightBadges">
+            ${targetTag}
+            <span class="badge type">${escapeHtml(runMode === "endless" ? "Endless" : "Quick")}</span>
+          </div>
         </div>
         <div class="altList">${opts}</div>
+        ${renderCut(r.cut)}
       </div>
     `;
   }).join("");
 
   out.innerHTML = cards || `<div class="empty">No results.</div>`;
+  renderStarMap();
 }
 
 function renderStopsPlan(plan, selectedResources, runMode) {
   const out = document.getElementById("output");
-  const { route, missing } = plan;
+  const { route, missing, missingReasons } = plan;
+
+  const missLine = r => {
+    const why = missingReasons?.get(r);
+    return `<div>${escapeHtml(r)}${why ? ` <span class="monoSmall">— ${escapeHtml(why)}</span>` : ""}</div>`;
+  };
+  // Grouped by priority, must-haves first (plans saved before priorities existed have no tiers)
+  const tiers = plan.missingTiers || [{ label: "", resources: missing || [] }];
+  const missLines = tiers.map(tier => {
+    const heading = tier.label ? `<div class="monoSmall missTier">${escapeHtml(tier.label)}</div>` : "";
+    return heading + tier.resources.map(missLine).join("");
+  }).join("");
 
   if (!route || route.length === 0) {
     out.innerHTML = `
-      <div class="warn">Could not find a plan for the selected resources.</div>
-      <div class="monoSmall">Try switching run style, or reduce the selection.</div>
+      <div class="warn">Could not find a plan for the selected resources.${missLines}</div>
+      <div class="monoSmall">Try switching run style, unlocking more of the star chart, or reduce the selection.</div>
     `;
     return;
   }
 
   const miss = (missing && missing.length)
-    ? `<div class="warn">Missing: ${escapeHtml(missing.join(", "))}</div>`
+    ? `<div class="warn">Missing:${missLines}</div>`
+    : "";
+
+  const stopWord = route.length === 1 ? "stop" : "stops";
+  const frontier = plan.frontier ? renderFrontier(plan) : "";
+  const choices = plan.routes?.length > 1 ? renderRouteChoices(plan) : "";
+  const picks = plan.forced?.length || plan.excluded?.length
+    ? ` with your star chart picks (${plan.forced.length} added, ${plan.excluded.length} taken out)`
     : "";
+  // minProven is missing on plans saved before it existed; those were worded as proven
+  const unproven = plan.minProven === false;
+  let solverNote = `<div class="monoSmall">Proven optimal: ${route.length} ${stopWord} is the minimum${picks}.</div>`;
+  if (plan.reason === "stopLimit") {
+    const needs = unproven ? `at most ${plan.minStops} stops (search limit reached before a proof)` : `${plan.minStops} stops`;
+    solverNote = `<div class="warn">Heuristic route: full coverage needs ${needs} but the limit is ${plan.maxStops}.</div>`;
+  } else if (plan.reason === "searchLimit") {
+    solverNote = `<div class="warn">Heuristic route: search limit reached, ${route.length} ${stopWord} may not be the minimum.</div>`;
+  } else if (plan.frontier) {
+    solverNote = unproven
+      ? `<div class="monoSmall">Fewest stops found: ${plan.minStops} (search limit reached, the minimum may be lower).</div>`
+      : `<div class="monoSmall">Fewest stops possible: ${plan.minStops}.</div>`;
+  } else if (plan.budget) {
+    solverNote = renderBudgetSummary(plan);
+  }
 
   const cards = route.map((step, stepIdx) => {
     const opts = (step.options || []).map((o, idx) => {
       const line = formatNodeLine(o.meta);
-      const scoreTxt = o.score.toFixed(2);
-      const rankTag = idx === 0 ? `<span class="badge ds">Best</span>` : `<span class="badge type">Alt</span>`;
+      const scoreTxt = formatScore(o);
+      // A stop with a better-scoring swap is the solver's pick, not the best node for its resources
+      const swap = step.options.some(opt => opt.better);
+      const rankTag = idx === 0
+        ? `<span class="badge ds">${swap ? "Chosen" : "Best"}</span>`
+        : `<span class="badge ${o.better ? "ds" : "type"}">${o.better ? "Better score" : "Alt"}</span>`;
 
       // Show what this option covers (chips), same data as before
       const chips = (o.covered || []).map(c => {
-        return `<span class="chip">${escapeHtml(c.resource)}</span>`;
+        const logged = farmLogSummary(c.resourceKey ?? c.rKey, o.nodeKey);
+        const fallback = c.via === "planet";
+        const tips = [
+          fallback ? "From planet fallback (no explicit drop row)" : "From explicit data",
+          c.estimate ? `×${c.estimate.need}: ${formatEstimate(c.estimate)}` : "",
+          logged ? formatLogged(logged) : "",
+        ].filter(Boolean);
+        const tip = ` title="${escapeHtml(tips.join("\n"))}"`;
+        const marker = fallback ? ` <span class="monoSmall">planet</span>` : "";
+        const player = c.player ? ` <span class="monoSmall">· ${escapeHtml(c.player)}</span>` : "";
+        return `<span class="chip${fallback ? " fallback" : ""}"${tip}>${escapeHtml(c.resource)}${player}${marker}</span>`;
       }).join("");
+      const estTxt = o.estimate
+        ? ` • <span class="monoSmall">${escapeHtml(formatEstimate(o.estimate))}</span>`
+        : "";
 
       return `
         <div class="altItem">
@@ -655,9 +1066,11 @@ function renderStopsPlan(plan, selectedResources, runMode) {
             ${rankTag}
           </div>
           <div class="altSub">
-            Score: <span class="monoSmall">${escapeHtml(scoreTxt)}</span>
+            Score: <span class="monoSmall">${escapeHtml(scoreTxt)}</span>${estTxt}
           </div>
+          ${o.stay ? `<div class="altSub">${escapeHtml(formatStay(o.stay))}</div>` : ""}
           <div class="chips">${chips}</div>
+          ${renderWhy(o)}
         </div>
       `;
     }).join("");
@@ -665,64 +1078,1110 @@ function renderStopsPlan(plan, selectedResources, runMode) {
     return `
       <div class="card">
         <div class="cardTop">
-          <div class="cardTitle">Stop #${stepIdx + 1}</div>
+          <div class="cardTitle">Stop #${stepIdx + 1}${step.forced ? ` <span class="badge">Picked on map</span>` : ""}</div>
           <span class="badge type">${escapeHtml(runMode === "endless" ? "Endless" : "Quick")}</span>
         </div>
+        ${plan.players ? renderStopPlayers(step) : ""}
+        ${step.travel ? `<div class="monoSmall">${escapeHtml(formatTravel(step.travel))}</div>` : ""}
         <div class="altList">${opts}</div>
+        ${renderCut(step.cut)}
       </div>
     `;
   }).join("");
 
-  out.innerHTML = miss + cards;
-}
-
+  // Session estimate: best option of every stop
+  const stopEstimates = route.map(step => step.options?.[0]?.estimate).filter(Boolean);
+  const total = stopEstimates.length && !plan.budget
+    ? `<div class="monoSmall">Estimated session: ~${Math.round(stopEstimates.reduce((sum, e) => sum + e.minutes, 0))} min for the targets set</div>`
+    : "";
 
+  // Travel order: planets in visiting order plus total junction jumps
+  const planets = route.filter(step => step.travel && !step.travel.samePlanet).map(step => step.travel.planet);
+  const jumps = route.reduce((sum, step) => sum + (step.travel?.hops ?? 0), 0);
+  const travel = planets.length > 1
+    ? `<div class="monoSmall">Travel: ${escapeHtml(planets.join(" → "))} (${jumps} jump${jumps === 1 ? "" : "s"})</div>`
+    : "";
 
-// ----------------------------
-// Main action
-// ----------------------------
-function planRoute() {
-  const selected = getSelectedResources();
-  if (selected.length === 0) {
-    setOutputMessage("Select at least one resource.");
-    return;
+  out.innerHTML = frontier + solverNote + choices + miss + total + travel + cards;
+  for (const btn of out.querySelectorAll("[data-point]")) {
+    btn.addEventListener("click", () => pickPoint(Number(btn.dataset.point)));
+  }
+  for (const btn of out.querySelectorAll("[data-route]")) {
+    btn.addEventListener("click", () => pickRouteChoice(Number(btn.dataset.route)));
   }
+  renderStarMap();
+}
 
-  const goal = readGoalMode();   // "efficiency" | "stops"
-  const runMode = readRunMode(); // "quick" | "endless"
+function renderBudgetSummary(plan) {
+  // Time used, weighted value and how far each resource gets within the budget
+  const value = formatEfficiency(plan.value / (plan.maxValue || 1));
+  const rows = plan.resources.map(r => {
+    const label = PRIORITIES.find(p => p.id === r.priority)?.label || r.priority;
+    const got = `~${Math.round(r.collected).toLocaleString()} of ${Math.round(r.need).toLocaleString()}`;
+    return `<div>${escapeHtml(r.resource)} <span class="monoSmall">— ${escapeHtml(label)} • ${got} (${formatEfficiency(r.share)})</span></div>`;
+  }).join("");
+  return `
+    <div class="monoSmall">Uses ~${Math.round(plan.used)} of ${plan.budget} min (incl. ${plan.overhead} min loading per stop) • ${value} of the weighted value${plan.forced?.length ? " • with your star chart picks" : ""}</div>
+    <div class="budgetProgress">${rows}</div>
+  `;
+}
+
+function renderStopPlayers(step) {
+  // Squad plans: who gets what at this stop
+  const byPlayer = new Map();
+  for (const c of step.options[0].covered) {
+    if (!byPlayer.has(c.player)) byPlayer.set(c.player, []);
+    byPlayer.get(c.player).push(c.resource);
+  }
+  const parts = [...byPlayer].map(([player, names]) => `${player} (${names.join(", ")})`);
+  return `<div class="monoSmall">For: ${escapeHtml(parts.join(" • "))}</div>`;
+}
+
+function renderFrontier(plan) {
+  // One button per frontier point: fewer stops on the left, more drops on the right
+  const points = plan.frontier.map((point, i) => {
+    const label = `${point.stops} stop${point.stops === 1 ? "" : "s"} • ${formatEfficiency(point.efficiency)}`;
+    const cls = i === plan.picked ? "primary" : "ghost";
+    return `<button class="${cls}" data-point="${i}">${escapeHtml(label)}</button>`;
+  }).join("");
+  return `
+    <div class="monoSmall">Balanced ${escapeHtml(String(plan.balance))}/100 — efficiency is the share of the best score every resource could get:</div>
+    <div class="frontier">${points}</div>
+  `;
+}
+
+function renderRouteChoices(plan) {
+  // Whole routes side by side: same stop count and coverage, different nodes
+  const choices = plan.routes.map((r, i) => {
+    const nodes = r.route.map(step => step.options[0].meta.node).join(" → ");
+    const cls = i === plan.picked ? "primary" : "ghost";
+    return `
+      <button class="${cls}" data-route="${i}" title="${escapeHtml(`Covers ${r.covered} resource(s)`)}">
+        Route ${i + 1} • score ${r.score.toFixed(2)}
+        <span class="monoSmall">${escapeHtml(nodes)}</span>
+      </button>
+    `;
+  }).join("");
+  return `
+    <div class="monoSmall">${plan.routes.length} complete routes with the fewest stops, best total score first:</div>
+    <div class="routeChoices">${choices}</div>
+  `;
+}
+
+function pickRouteChoice(index) {
+  if (!LAST_PLAN?.plan?.routes) return;
+  LAST_PLAN = { ...LAST_PLAN, plan: pickRoute(LAST_PLAN.plan, index) };
+  withPlanSettings(LAST_PLAN, () => renderStopsPlan(LAST_PLAN.plan, null, LAST_PLAN.runMode));
+}
+
+function pickPoint(index) {
+  if (!LAST_PLAN?.plan?.frontier) return;
+  LAST_PLAN = { ...LAST_PLAN, plan: pickFrontierPoint(LAST_PLAN.plan, index) };
+  withPlanSettings(LAST_PLAN, () => renderStopsPlan(LAST_PLAN.plan, null, LAST_PLAN.runMode));
+}
+
+
+// ----------------------------
+// Star chart map
+// ----------------------------
+function planNodes() {
+  // nodeKey -> stop label for the plan on screen ("" for Max Drops picks, which have no order)
+  const out = new Map();
+  if (!LAST_PLAN) return out;
+  if (LAST_PLAN.goal === "efficiency") {
+    for (const r of LAST_PLAN.results) {
+      if (r.options[0]) out.set(r.options[0].nodeKey, "");
+    }
+    return out;
+  }
+  LAST_PLAN.plan.route.forEach((step, i) => out.set(step.options[0].nodeKey, String(i + 1)));
+  return out;
+}
+
+function mapNodeTitle(meta, cov, blocked) {
+  const lines = [formatNodeLine(meta)];
+  if (cov.explicit.length) lines.push(`Explicit: ${cov.explicit.join(", ")}`);
+  if (cov.fallback.length) lines.push(`Planet fallback: ${cov.fallback.join(", ")}`);
+  if (!cov.explicit.length && !cov.fallback.length) lines.push("Covers none of the selected resources");
+  if (blocked === "planetLocked" || blocked === "nodeLocked") lines.push("Locked in star chart progress");
+  return lines.join("\n");
+}
+
+function renderStarMap() {
+  const wrap = document.getElementById("starMap");
+  document.getElementById("resetMapBtn").disabled = MAP_EDITS.include.size + MAP_EDITS.exclude.size === 0;
+  if (PLANETS.length === 0) {
+    wrap.innerHTML = `<div class="subtle small">No planets in the dataset.</div>`;
+    return;
+  }
+
+  const { size, planets, nodes, links } = starChartLayout();
+  const selected = getSelectedResources();
+  const coverage = mapCoverage(selected);
+  const inPlan = planNodes();
+  const runMode = LAST_PLAN?.runMode || readRunMode();
+  const at = new Map(nodes.map(n => [n.nKey, n]));
+  const fmt = n => n.toFixed(1);
+
+  const linkSvg = links.map(([a, b]) =>
+    `<line class="mapLink" x1="${fmt(a.x)}" y1="${fmt(a.y)}" x2="${fmt(b.x)}" y2="${fmt(b.y)}" />`).join("");
+
+  const routePoints = LAST_PLAN && LAST_PLAN.goal !== "efficiency"
+    ? [...inPlan.keys()].map(nKey => at.get(nKey)).filter(Boolean).map(n => `${fmt(n.x)},${fmt(n.y)}`).join(" ")
+    : "";
+  const routeSvg = routePoints ? `<polyline class="mapRoute" points="${routePoints}" />` : "";
+
+  const planetSvg = planets.map(p => `
+    <circle class="mapPlanet" cx="${fmt(p.x)}" cy="${fmt(p.y)}" r="5" />
+    <text class="mapLabel" x="${fmt(p.x)}" y="${fmt(p.y + size * 0.08)}">${escapeHtml(p.name)}</text>
+  `).join("");
+
+  const nodeSvg = nodes.map(({ nKey, meta, x, y }) => {
+    const cov = coverage.get(nKey);
+    const share = selected.length ? (cov.explicit.length + cov.fallback.length * 0.5) / selected.length : 0;
+    const kind = cov.explicit.length ? "explicit" : cov.fallback.length ? "fallback" : "none";
+    const blocked = nodeBlockReason(meta, runMode);
+    const classes = ["mapNode", kind];
+    if (blocked) classes.push("locked");
+    if (inPlan.has(nKey)) classes.push("inPlan");
+    if (MAP_EDITS.include.has(nKey)) classes.push("forced");
+    if (MAP_EDITS.exclude.has(nKey)) classes.push("excluded");
+    const label = inPlan.get(nKey);
+    return `
+      <g class="${classes.join(" ")}" data-node="${escapeHtml(nKey)}">
+        <title>${escapeHtml(mapNodeTitle(meta, cov, blocked))}</title>
+        <circle cx="${fmt(x)}" cy="${fmt(y)}" r="8" style="fill-opacity:${(0.15 + share * 0.85).toFixed(2)}" />
+        ${label ? `<text class="mapStop" x="${fmt(x)}" y="${fmt(y + 3)}">${label}</text>` : ""}
+      </g>
+    `;
+  }).join("");
+
+  wrap.innerHTML = `<svg viewBox="0 0 ${size} ${size}" role="img">${linkSvg}${routeSvg}${planetSvg}${nodeSvg}</svg>`;
+}
+
+function toggleMapNode(nKey) {
+  // In the plan: take it out (or undo a pick). Not in the plan: add it (or undo a take-out).
+  if (MAP_EDITS.include.has(nKey)) MAP_EDITS.include.delete(nKey);
+  else if (MAP_EDITS.exclude.has(nKey)) MAP_EDITS.exclude.delete(nKey);
+  else if (planNodes().has(nKey)) MAP_EDITS.exclude.add(nKey);
+  else if (LAST_PLAN?.goal === "efficiency" || (!LAST_PLAN && readGoalMode() === "efficiency")) {
+    setOutputMessage("Adding nodes works with the route goals (Min Stops, Balanced, Squad).");
+    return;
+  } else MAP_EDITS.include.add(nKey);
+  replan();
+}
+
+function resetMapEdits() {
+  MAP_EDITS = { include: new Set(), exclude: new Set() };
+  replan();
+}
+
+function replan() {
+  if (LAST_PLAN?.goal === "squad") planSquadRoute();
+  else planRoute();
+}
+
+// ----------------------------
+// Offline support
+// ----------------------------
+// sw.js serves everything from its cache first and refreshes it in the
+// background; it posts "data-updated" when a CSV changed on the server.
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+  navigator.serviceWorker.register("sw.js").catch(() => { });
+  navigator.serviceWorker.addEventListener("message", e => {
+    if (e.data?.type === "data-updated") document.getElementById("updatePrompt").hidden = false;
+  });
+}
+
+function renderNetStatus() {
+  const el = document.getElementById("netStatus");
+  const state = navigator.onLine ? "Online" : "Offline";
+  el.textContent = DATA_VERSION ? `${state} • data ${DATA_VERSION}` : state;
+  el.title = "Data version: a hash of the bundled CSVs, so two devices with the same version plan the same way.";
+  el.classList.toggle("ds", !navigator.onLine);
+}
+
+async function refreshUpdatedData() {
+  document.getElementById("updatePrompt").hidden = true;
+  try {
+    await reloadDataset(() => `Loaded the updated CSVs (data ${DATA_VERSION}).`);
+  } catch (e) {
+    setOutputMessage(`Could not load the updated CSVs: ${e.message || e}`);
+  }
+}
+
+// ----------------------------
+// Data health
+// ----------------------------
+function updateHealthButton() {
+  const btn = document.getElementById("healthBtn");
+  const errors = DATA_ISSUES.filter(i => i.level === "error").length;
+  const warnings = DATA_ISSUES.length - errors;
+  btn.textContent = DATA_ISSUES.length
+    ? `Data health: ${errors} error(s), ${warnings} warning(s)`
+    : "Data health: OK";
+  btn.classList.toggle("alert", errors > 0);
+}
+
+function renderDataHealth() {
+  const out = document.getElementById("output");
+  LAST_PLAN = null;
+
+  if (DATA_ISSUES.length === 0) {
+    out.innerHTML = `<div class="empty">No dataset problems found.</div>`;
+    return;
+  }
+
+  const byFile = new Map();
+  for (const issue of DATA_ISSUES) {
+    if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+    byFile.get(issue.file).push(issue);
+  }
+
+  const cards = [...byFile.entries()].map(([file, issues]) => {
+    const items = [...issues]
+      .sort((a, b) => (a.line ?? 0) - (b.line ?? 0))
+      .map(issue => {
+        const tag = issue.level === "error"
+          ? `<span class="badge ds">Error</span>`
+          : `<span class="badge type">Warning</span>`;
+        const where = issue.line ? `<span class="monoSmall">line ${issue.line}</span> ` : "";
+        return `<div class="issue">${tag} ${where}${escapeHtml(issue.message)}</div>`;
+      }).join("");
+
+    return `
+      <div class="card">
+        <div class="cardTop">
+          <div class="cardTitle">${escapeHtml(file)}</div>
+          <span class="badge">${issues.length}</span>
+        </div>
+        <div class="altList">${items}</div>
+      </div>
+    `;
+  }).join("");
+
+  out.innerHTML = cards;
+}
+
+// ----------------------------
+// Export: Markdown / JSON / CSV
+// ----------------------------
+function exportPlan(formatId, action) {
+  // Every format has its own Copy and Download button
+  if (!LAST_PLAN) {
+    setOutputMessage("Calculate a plan first, then export it.");
+    return;
+  }
+
+  const format = EXPORT_FORMATS[formatId] || EXPORT_FORMATS.markdown;
+  const text = withPlanSettings(LAST_PLAN, () => format.build(LAST_PLAN));
+
+  if (action === "download") downloadText(`warframe-farm-plan.${format.ext}`, text, format.type);
+  else copyText(text);
+}
+
+// ----------------------------
+// Share links (URL hash)
+// ----------------------------
+// Format: #v=1&goal=stops&run=endless&stops=6&stay=20m&bal=50&r=oxium.500,argon-crystal
+// Resources are stored by name slug, not by position, so links keep working
+// when the dataset gains or reorders resources. Unknown slugs are ignored.
+const SHARE_VERSION = 1;
+
+function resourceSlug(name) {
+  return norm(name).replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+function setRadio(name, value) {
+  const el = document.querySelector(`input[name='${name}'][value='${value}']`);
+  if (el) el.checked = true;
+}
+
+function buildShareHash() {
+  const items = [];
+  for (const r of RESOURCES) {
+    const rKey = norm(r);
+    if (!SELECTED_KEYS.has(rKey)) continue;
+    const target = SETTINGS.targets.get(rKey);
+    const priority = SETTINGS.priorities.get(rKey);
+    items.push(`${resourceSlug(r)}${target ? `.${target}` : ""}${priority ? `~${priority}` : ""}`);
+  }
+
+  const params = new URLSearchParams({
+    v: String(SHARE_VERSION),
+    goal: readGoalMode(),
+    run: readRunMode(),
+    stops: String(readMaxStops()),
+  });
+  const stay = readEndlessStay();
+  params.set("stay", `${stay.value}${stay.unit === "rotations" ? "r" : "m"}`);
+  params.set("bal", String(readBalance()));
+  params.set("budget", String(readBudget()));
+  // Keep commas readable instead of %2C
+  return `#${params.toString()}&r=${items.join(",")}`;
+}
+
+function applyShareHash(hash) {
+  // Returns true when the hash carried a planner state
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  if (!params.has("r")) return false;
+
+  const bySlug = new Map(RESOURCES.map(r => [resourceSlug(r), norm(r)]));
+  const selected = new Set();
+  const targets = new Map();
+  const priorities = new Map();
+
+  for (const item of params.get("r").split(",")) {
+    // slug[.qty][~priority]
+    const [spec, priority] = item.split("~");
+    const [slug, qty] = spec.split(".");
+    const rKey = bySlug.get(slug);
+    if (!rKey) continue;
+    selected.add(rKey);
+    const n = Math.floor(Number(qty));
+    if (n > 0) targets.set(rKey, n);
+    if (PRIORITIES.some(p => p.id === priority)) priorities.set(rKey, priority);
+  }
+
+  SELECTED_KEYS = selected;
+  SETTINGS.targets = targets;
+  SETTINGS.priorities = priorities;
+  saveSelection();
+
+  const goal = params.get("goal");
+  if (["efficiency", "stops", "balanced", "budget"].includes(goal)) setRadio("goalMode", goal);
+
+  const run = params.get("run");
+  if (run === "quick" || run === "endless") setRadio("runMode", run);
+
+  const stops = Math.floor(Number(params.get("stops")));
+  if (stops >= 1) document.getElementById("maxStops").value = String(stops);
+
+  const balance = Number(params.get("bal"));
+  if (params.has("bal") && balance >= 0 && balance <= 100) setBalance(balance);
+
+  const budget = Number(params.get("budget"));
+  if (budget > 0) document.getElementById("budgetMinutes").value = String(Math.min(budget, MAX_BUDGET_MINUTES));
+
+  const stay = /^(\d+(?:\.\d+)?)([mr])$/.exec(params.get("stay") || "");
+  if (stay) {
+    document.getElementById("stayValue").value = stay[1];
+    document.getElementById("stayUnit").value = stay[2] === "r" ? "rotations" : "minutes";
+  }
+
+  return true;
+}
+
+function shareLink() {
+  const hash = buildShareHash();
+  history.replaceState(null, "", hash);
+
+  const btn = document.getElementById("shareBtn");
+  navigator.clipboard.writeText(location.href)
+    .then(() => {
+      btn.textContent = "Link copied";
+      setTimeout(() => { btn.textContent = "Share link"; }, 1500);
+    })
+    .catch(() => { });
+}
+
+// ----------------------------
+// Presets + plan history
+// ----------------------------
+// A preset is a share-link hash under a name, so it restores exactly what a
+// link would: selection, targets, priorities, goal, balance, budget, run style,
+// max stops and stay.
+const PRESET_FILE_VERSION = 1;
+const HISTORY_LIMIT = 10;
+const GOAL_LABELS = { efficiency: "Max Drops", stops: "Min Stops", balanced: "Balanced", budget: "Time budget", squad: "Squad" };
+
+function savePresets() {
+  saveStored("presets", PRESETS);
+}
+
+function upsertPreset(name, hash) {
+  const preset = { name, hash, savedAt: new Date().toISOString() };
+  const idx = PRESETS.findIndex(p => p.name === name);
+  if (idx >= 0) PRESETS[idx] = preset;
+  else PRESETS.push(preset);
+}
+
+function saveCurrentPreset() {
+  const input = document.getElementById("presetName");
+  const name = input.value.trim();
+  if (!name) {
+    input.focus();
+    return;
+  }
+  if (SELECTED_KEYS.size === 0) {
+    setOutputMessage("Select at least one resource before saving a preset.");
+    return;
+  }
+
+  upsertPreset(name, buildShareHash());
+  savePresets();
+  input.value = "";
+  renderPresets();
+}
+
+function loadPreset(preset) {
+  applyShareHash(preset.hash);
+  populateResources();
+  setOutputMessage(`Loaded preset "${preset.name}". Calculate to plan it.`);
+}
+
+function renamePreset(preset) {
+  const name = (prompt("Rename preset", preset.name) || "").trim();
+  if (!name || name === preset.name) return;
+
+  // Renaming onto an existing name replaces that preset
+  PRESETS = PRESETS.filter(p => p.name !== name);
+  preset.name = name;
+  savePresets();
+  renderPresets();
+}
+
+function deletePreset(preset) {
+  PRESETS = PRESETS.filter(p => p !== preset);
+  savePresets();
+  renderPresets();
+}
+
+function exportPresets() {
+  const json = JSON.stringify({ version: PRESET_FILE_VERSION, presets: PRESETS }, null, 2);
+  downloadText("warframe-presets.json", json, "application/json");
+}
+
+async function importPresets(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    const list = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(list)) throw new Error("no presets in file");
+
+    // Merge by name: imported presets replace local ones with the same name
+    for (const p of list) {
+      if (p && typeof p.name === "string" && typeof p.hash === "string" && p.name.trim()) {
+        upsertPreset(p.name.trim(), p.hash);
+      }
+    }
+    savePresets();
+    renderPresets();
+  } catch (e) {
+    setOutputMessage(`Could not import presets: ${e.message || e}`);
+  }
+}
+
+function renderPresets() {
+  const wrap = document.getElementById("presetList");
+  wrap.innerHTML = "";
+
+  if (PRESETS.length === 0) {
+    wrap.innerHTML = `<div class="subtle small">No presets yet.</div>`;
+    return;
+  }
+
+  for (const preset of PRESETS) {
+    const row = document.createElement("div");
+    row.className = "setRow";
+
+    const load = document.createElement("button");
+    load.className = "ghost";
+    load.textContent = preset.name;
+    load.title = "Load this preset";
+    load.addEventListener("click", () => loadPreset(preset));
+
+    const actions = document.createElement("div");
+    actions.className = "miniBtns";
+    for (const [label, fn] of [["Rename", renamePreset], ["Delete", deletePreset]]) {
+      const btn = document.createElement("button");
+      btn.className = "ghost";
+      btn.textContent = label;
+      btn.addEventListener("click", () => fn(preset));
+      actions.appendChild(btn);
+    }
+
+    row.appendChild(load);
+    row.appendChild(actions);
+    wrap.appendChild(row);
+  }
+}
+
+function storablePlan(last) {
+  // missingReasons is the only Map in a plan; the rest survives JSON as is
+  if (!last.plan) return last;
+  return { ...last, plan: { ...last.plan, missingReasons: [...(last.plan.missingReasons || [])] } };
+}
+
+function revivePlan(saved) {
+  if (!saved.plan) return saved;
+  return { ...saved, plan: { ...saved.plan, missingReasons: new Map(saved.plan.missingReasons || []) } };
+}
+
+function planSettings() {
+  // What renders and exports read besides the plan: amounts, priorities and drop modifiers
+  return {
+    targets: Object.fromEntries(SETTINGS.targets),
+    owned: Object.fromEntries(SETTINGS.owned),
+    priorities: Object.fromEntries(SETTINGS.priorities),
+    modifiers: [...SETTINGS.modifiers],
+  };
+}
+
+function withPlanSettings(last, fn) {
+  // Reopened plans render and export with the settings they were calculated with;
+  // the current ones are put back afterwards. Entries saved without settings use the current ones.
+  const saved = last?.settings;
+  if (!saved) return fn();
+
+  const { targets, owned, priorities, modifiers } = SETTINGS;
+  SETTINGS.targets = new Map(Object.entries(saved.targets || {}));
+  SETTINGS.owned = new Map(Object.entries(saved.owned || {}));
+  SETTINGS.priorities = new Map(Object.entries(saved.priorities || {}));
+  SETTINGS.modifiers = new Set(saved.modifiers || []);
+  try {
+    return fn();
+  } finally {
+    Object.assign(SETTINGS, { targets, owned, priorities, modifiers });
+  }
+}
+
+function recordHistory(resources, last) {
+  PLAN_HISTORY = [{ resources, plan: storablePlan(last), settings: planSettings() }, ...PLAN_HISTORY].slice(0, HISTORY_LIMIT);
+  saveStored("history", PLAN_HISTORY);
+  renderHistory();
+}
+
+function clearHistory() {
+  PLAN_HISTORY = [];
+  removeStored("history");
+  renderHistory();
+}
+
+function openHistory(entry) {
+  LAST_PLAN = { ...revivePlan(entry.plan), settings: entry.settings };
+  withPlanSettings(LAST_PLAN, () => {
+    if (LAST_PLAN.goal === "efficiency") renderEfficiencyPlan(LAST_PLAN.results, LAST_PLAN.runMode);
+    else renderStopsPlan(LAST_PLAN.plan, entry.resources, LAST_PLAN.runMode);
+  });
+}
+
+function renderHistory() {
+  const wrap = document.getElementById("historyList");
+  wrap.innerHTML = "";
+  document.getElementById("clearHistoryBtn").disabled = PLAN_HISTORY.length === 0;
+
+  if (PLAN_HISTORY.length === 0) {
+    wrap.innerHTML = `<div class="subtle small">Calculated plans show up here.</div>`;
+    return;
+  }
+
+  for (const entry of PLAN_HISTORY) {
+    const { goal, runMode, createdAt } = entry.plan;
+    const row = document.createElement("div");
+    row.className = "setRow";
+
+    const names = entry.resources.length > 3
+      ? `${entry.resources.slice(0, 3).join(", ")} +${entry.resources.length - 3}`
+      : entry.resources.join(", ");
+    const text = document.createElement("span");
+    text.className = "small";
+    text.textContent = `${new Date(createdAt).toLocaleString()} • ${GOAL_LABELS[goal] || goal} • ${runMode === "endless" ? "Endless" : "Quick"} • ${names}`;
+
+    const open = document.createElement("button");
+    open.className = "ghost";
+    open.textContent = "Open";
+    open.addEventListener("click", () => openHistory(entry));
+
+    row.appendChild(text);
+    row.appendChild(open);
+    wrap.appendChild(row);
+  }
+}
+
+// ----------------------------
+// Squad
+// ----------------------------
+// Players are stored like the main selection (names + targets object). Star
+// chart progress and inventory are only stored when the player opted in;
+// otherwise the planner uses the current ones from this browser.
+function saveSquad() {
+  saveStored("squad", SQUAD);
+}
+
+function savePlayer() {
+  const input = document.getElementById("playerName");
+  const name = input.value.trim();
+  if (!name) {
+    input.focus();
+    return;
+  }
+  if (SELECTED_KEYS.size === 0) {
+    setOutputMessage("Select at least one resource before saving a player.");
+    return;
+  }
+
+  const player = {
+    name,
+    resources: RESOURCES.filter(r => SELECTED_KEYS.has(norm(r))),
+    targets: Object.fromEntries(SETTINGS.targets),
+  };
+  if (document.getElementById("playerOwnProgress").checked) {
+    player.owned = Object.fromEntries(SETTINGS.owned);
+    player.progress = { lockedPlanets: [...SETTINGS.lockedPlanets], lockedNodes: [...SETTINGS.lockedNodes] };
+  }
+
+  const idx = SQUAD.findIndex(p => p.name === name);
+  if (idx >= 0) SQUAD[idx] = player;
+  else SQUAD.push(player);
+  saveSquad();
+  input.value = "";
+  renderSquad();
+}
+
+function loadPlayer(player) {
+  SELECTED_KEYS = new Set(player.resources.map(norm));
+  SETTINGS.targets = new Map(Object.entries(player.targets || {}));
+  saveSelection();
+  populateResources();
+  document.getElementById("playerName").value = player.name;
+  setOutputMessage(`Loaded ${player.name}'s selection. Save it again to update the player.`);
+}
+
+function removePlayer(player) {
+  SQUAD = SQUAD.filter(p => p !== player);
+  saveSquad();
+  renderSquad();
+}
+
+function squadPlayers() {
+  // Stored players -> planner players; resources missing from the dataset are dropped
+  const known = new Map(RESOURCES.map(r => [norm(r), r]));
+  return SQUAD.map(p => ({
+    name: p.name,
+    resources: p.resources.map(r => known.get(norm(r))).filter(Boolean),
+    targets: new Map(Object.entries(p.targets || {})),
+    owned: p.owned ? new Map(Object.entries(p.owned)) : undefined,
+    lockedPlanets: p.progress ? new Set(p.progress.lockedPlanets || []) : undefined,
+    lockedNodes: p.progress ? new Set(p.progress.lockedNodes || []) : undefined,
+  }));
+}
+
+function planSquadRoute() {
+  const players = squadPlayers();
+  const resources = [...new Set(players.flatMap(p => p.resources))];
+  LAST_PLAN = null;
+  if (resources.length === 0) {
+    setOutputMessage("Save at least one player with a resource selection.");
+    return;
+  }
+
+  const runMode = readRunMode();
+  SETTINGS.endlessStay = readEndlessStay();
+  LAST_PLAN = createPlan({
+    goal: "squad",
+    runMode,
+    resources,
+    players,
+    maxStops: readMaxStops(),
+    include: [...MAP_EDITS.include],
+    exclude: [...MAP_EDITS.exclude],
+  });
+  renderStopsPlan(LAST_PLAN.plan, resources, runMode);
+  recordHistory(resources, LAST_PLAN);
+}
+
+function renderSquad() {
+  const wrap = document.getElementById("squadList");
+  wrap.innerHTML = "";
+  document.getElementById("planSquadBtn").disabled = SQUAD.length === 0;
+
+  if (SQUAD.length === 0) {
+    wrap.innerHTML = `<div class="subtle small">No players yet. Add yourself too.</div>`;
+    return;
+  }
+
+  for (const player of SQUAD) {
+    const row = document.createElement("div");
+    row.className = "setRow";
+
+    const load = document.createElement("button");
+    load.className = "ghost";
+    load.textContent = player.name;
+    load.title = "Load this player's selection";
+    load.addEventListener("click", () => loadPlayer(player));
+
+    const text = document.createElement("span");
+    text.className = "subtle small";
+    const count = player.resources.length;
+    text.textContent = `${count} resource${count === 1 ? "" : "s"}${player.progress ? " • own star chart" : ""}`;
+
+    const remove = document.createElement("button");
+    remove.className = "ghost";
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => removePlayer(player));
+
+    row.appendChild(load);
+    row.appendChild(text);
+    row.appendChild(remove);
+    wrap.appendChild(row);
+  }
+}
+
+// ----------------------------
+// Farm log
+// ----------------------------
+// Logged runs calibrate yields (see planner.js). The CSV has one row per
+// resource per run so logs from several players can simply be concatenated.
+const FARM_LOG_HEADER = ["loggedAt", "node", "planet", "minutes", "resource", "quantity"];
+
+function saveFarmLog() {
+  saveStored("farmLog", FARM_LOG);
+  indexFarmLog(FARM_LOG);
+}
+
+function populateLogNodes() {
+  const list = document.getElementById("logNodeOptions");
+  list.innerHTML = [...NODE_META.values()]
+    .map(m => `<option value="${escapeHtml(m.node)}">${escapeHtml(`${m.planet} • ${m.missionType}`)}</option>`)
+    .join("");
+}
+
+function renderLogDrops() {
+  // One amount per resource the chosen node can drop; blank means "not counted"
+  const wrap = document.getElementById("logDrops");
+  const nKey = norm(document.getElementById("logNode").value);
+  wrap.innerHTML = "";
+
+  for (const r of nodeResources(nKey)) {
+    const row = document.createElement("label");
+    row.className = "check";
+
+    const qty = document.createElement("input");
+    qty.type = "number";
+    qty.className = "qty";
+    qty.min = "0";
+    qty.step = "1";
+    qty.placeholder = "–";
+    qty.dataset.resource = r;
+    qty.title = `${r} collected this run`;
+
+    const text = document.createElement("span");
+    text.textContent = r;
+
+    row.appendChild(resourceIcon(r));
+    row.appendChild(text);
+    row.appendChild(qty);
+    wrap.appendChild(row);
+  }
+}
+
+function logRun() {
+  const nodeInput = document.getElementById("logNode");
+  const meta = NODE_META.get(norm(nodeInput.value));
+  const minutes = Number(document.getElementById("logMinutes").value);
+
+  const drops = {};
+  for (const input of document.getElementById("logDrops").querySelectorAll("input.qty")) {
+    if (input.value === "") continue;
+    const n = Math.floor(Number(input.value));
+    if (n >= 0) drops[input.dataset.resource] = n;
+  }
+
+  if (!meta || !(minutes > 0) || Object.keys(drops).length === 0) {
+    setOutputMessage("To log a run pick a node, enter its minutes and at least one collected amount.");
+    return;
+  }
+
+  FARM_LOG.push({ at: new Date().toISOString(), node: meta.node, minutes, drops });
+  saveFarmLog();
+  renderLogDrops();
+  renderFarmLog();
+}
+
+function deleteLoggedRun(entry) {
+  FARM_LOG = FARM_LOG.filter(e => e !== entry);
+  saveFarmLog();
+  renderFarmLog();
+}
+
+function clearFarmLog() {
+  FARM_LOG = [];
+  saveFarmLog();
+  renderFarmLog();
+}
+
+function formatLogged(summary) {
+  const runs = summary.runs === 1 ? "1 run" : `${summary.runs} runs`;
+  const dataset = summary.datasetPerMinute > 0 ? ` vs dataset ~${summary.datasetPerMinute.toFixed(1)}/min` : "";
+  return `Logged ~${summary.perMinute.toFixed(1)}/min over ${runs}${dataset}`;
+}
+
+function renderFarmLog() {
+  document.getElementById("useFarmLog").checked = SETTINGS.useFarmLog;
+  document.getElementById("clearLogBtn").disabled = FARM_LOG.length === 0;
+  document.getElementById("exportLogBtn").disabled = FARM_LOG.length === 0;
+
+  // Empirical yields next to the dataset's, per resource and node
+  const stats = document.getElementById("logStats");
+  const summaries = farmLogSummaries().sort((a, b) => a.resource.localeCompare(b.resource) || a.node.localeCompare(b.node));
+  stats.innerHTML = summaries.length
+    ? summaries.map(sum => `
+        <div class="setRow small">
+          <span>${escapeHtml(sum.resource)} @ ${escapeHtml(sum.node)}</span>
+          <span class="monoSmall" title="Log weight ${Math.round(sum.weight * 100)}% when blending">${escapeHtml(formatLogged(sum))}</span>
+        </div>
+      `).join("")
+    : `<div class="subtle small">No runs logged yet.</div>`;
+
+  // Most recent runs, newest first
+  const runs = document.getElementById("logRuns");
+  runs.innerHTML = "";
+  for (const entry of FARM_LOG.slice(-10).reverse()) {
+    const row = document.createElement("div");
+    row.className = "setRow";
+
+    const text = document.createElement("span");
+    text.className = "small";
+    const drops = Object.entries(entry.drops).map(([r, n]) => `${r} ${n}`).join(", ");
+    text.textContent = `${new Date(entry.at).toLocaleString()} • ${entry.node} • ${entry.minutes} min • ${drops}`;
+
+    const del = document.createElement("button");
+    del.className = "ghost";
+    del.textContent = "Delete";
+    del.addEventListener("click", () => deleteLoggedRun(entry));
+
+    row.appendChild(text);
+    row.appendChild(del);
+    runs.appendChild(row);
+  }
+}
+
+function exportFarmLog() {
+  const rows = [];
+  for (const entry of FARM_LOG) {
+    const planet = NODE_META.get(norm(entry.node))?.planet || "";
+    for (const [resource, qty] of Object.entries(entry.drops)) {
+      rows.push([entry.at, entry.node, planet, entry.minutes, resource, qty]);
+    }
+  }
+  const csv = [FARM_LOG_HEADER, ...rows].map(row => row.map(csvField).join(",")).join("\n");
+  downloadText("warframe-farm-log.csv", csv, "text/csv");
+}
+
+async function importFarmLog(file) {
+  // Rows sharing loggedAt + node are one run; runs already in the log are skipped
+  try {
+    const rows = parseCsv(await file.text(), file.name);
+    const known = new Set(FARM_LOG.map(e => `${e.at}|${norm(e.node)}`));
+    const runs = new Map();
+
+    for (const row of rows) {
+      const at = String(row.loggedAt ?? "").trim();
+      const node = String(row.node ?? "").trim();
+      const minutes = Number(row.minutes);
+      const resource = String(row.resource ?? "").trim();
+      const qty = Math.floor(Number(row.quantity));
+      if (!at || !node || !(minutes > 0) || !resource || !(qty >= 0)) continue;
+
+      const key = `${at}|${norm(node)}`;
+      if (known.has(key)) continue;
+      if (!runs.has(key)) runs.set(key, { at, node, minutes, drops: {} });
+      runs.get(key).drops[resource] = qty;
+    }
 
-  if (goal === "efficiency") {
-    const results = planMaximizeEfficiency(selected, runMode);
-    renderEfficiencyPlan(results, runMode);
+    if (runs.size === 0) throw new Error("no new runs (expected columns: " + FARM_LOG_HEADER.join(", ") + ")");
+    FARM_LOG.push(...runs.values());
+    FARM_LOG.sort((a, b) => a.at.localeCompare(b.at));
+    saveFarmLog();
+    renderFarmLog();
+  } catch (e) {
+    setOutputMessage(`Could not import farm log: ${e.message || e}`);
+  }
+}
+
+// ----------------------------
+// Main action
+// ----------------------------
+function planRoute() {
+  const selected = getSelectedResources();
+  LAST_PLAN = null;
+  if (selected.length === 0) {
+    setOutputMessage(SELECTED_KEYS.size > 0
+      ? "Your inventory already covers every selected target."
+      : "Select at least one resource.");
     return;
   }
 
-  const plan = planMinimizeStops(selected, runMode);
-  renderStopsPlan(plan, selected, runMode);
+  const goal = readGoalMode();   // "efficiency" | "stops" | "balanced" | "budget"
+  const runMode = readRunMode(); // "quick" | "endless"
+  SETTINGS.endlessStay = readEndlessStay();
+
+  LAST_PLAN = createPlan({
+    goal,
+    runMode,
+    resources: selected,
+    maxStops: readMaxStops(),
+    balance: readBalance(),
+    budget: readBudget(),
+    include: [...MAP_EDITS.include],
+    exclude: [...MAP_EDITS.exclude],
+  });
+  if (goal === "efficiency") renderEfficiencyPlan(LAST_PLAN.results, runMode);
+  else renderStopsPlan(LAST_PLAN.plan, selected, runMode);
+  recordHistory(selected, LAST_PLAN);
 }
 
 // ----------------------------
 // Init + events
 // ----------------------------
+function refreshDataViews() {
+  renderNetStatus();
+  updateHealthButton();
+  checkResourceIcons().then(updateHealthButton);
+  renderDatasetStatus();
+  populateResources();
+  populateInventory();
+  populateCrafting();
+  populateProgress();
+  populateWeights();
+  populateModifiers();
+  renderPresets();
+  renderHistory();
+  renderSquad();
+  indexFarmLog(FARM_LOG);
+  populateLogNodes();
+  renderNodeLookup();
+  renderLogDrops();
+  renderFarmLog();
+}
+
+async function reloadDataset(message) {
+  // message may be a function, for text that depends on the reloaded data
+  await loadData();
+  LAST_PLAN = null;
+  refreshDataViews();
+  setOutputMessage(typeof message === "function" ? message() : message);
+}
+
 async function init() {
   try {
     await loadData();
-    populateResources(true);
-    setOutputMessage("Dataset loaded. Select resources, pick goal and run style, then calculate.");
+    const shared = applyShareHash(location.hash);
+    refreshDataViews();
+    if (shared) planRoute();
+    else setOutputMessage("Dataset loaded. Select resources, pick goal and run style, then calculate.");
   } catch (e) {
     setOutputMessage(String(e));
   }
 }
 
 document.getElementById("resourceFilter").addEventListener("input", populateResources);
+document.getElementById("nodeQuery").addEventListener("input", renderNodeLookup);
+restoreSelection();
 populateResources();
 
 
 document.getElementById("planBtn").addEventListener("click", planRoute);
+document.getElementById("planSquadBtn").addEventListener("click", planSquadRoute);
+document.getElementById("savePlayerBtn").addEventListener("click", savePlayer);
+document.getElementById("balance").addEventListener("input", e => setBalance(Number(e.target.value)));
 
 document.getElementById("selectAllBtn").addEventListener("click", () => selectAllResources(true));
 document.getElementById("clearBtn").addEventListener("click", () => selectAllResources(false));
 
-document.getElementById("copyBtn").addEventListener("click", copyOutput);
-
+document.getElementById("exportActions").addEventListener("click", e => {
+  const btn = e.target.closest("[data-format]");
+  if (btn) exportPlan(btn.dataset.format, btn.dataset.action);
+});
+document.getElementById("shareBtn").addEventListener("click", shareLink);
+document.getElementById("healthBtn").addEventListener("click", renderDataHealth);
+document.getElementById("refreshDataBtn").addEventListener("click", refreshUpdatedData);
+document.getElementById("resetMapBtn").addEventListener("click", resetMapEdits);
+document.getElementById("starMap").addEventListener("click", e => {
+  const node = e.target.closest("[data-node]");
+  if (node) toggleMapNode(node.dataset.node);
+});
+window.addEventListener("online", renderNetStatus);
+window.addEventListener("offline", renderNetStatus);
+
+const datasetDrop = document.getElementById("datasetDrop");
+const datasetFile = document.getElementById("datasetFile");
+datasetDrop.addEventListener("click", () => datasetFile.click());
+datasetDrop.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" || e.key === " ") {
+    e.preventDefault();
+    datasetFile.click();
+  }
+});
+datasetDrop.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  datasetDrop.classList.add("over");
+});
+datasetDrop.addEventListener("dragleave", () => datasetDrop.classList.remove("over"));
+datasetDrop.addEventListener("drop", (e) => {
+  e.preventDefault();
+  datasetDrop.classList.remove("over");
+  const files = [...(e.dataTransfer?.files || [])];
+  if (files.length) importDatasetFiles(files);
+});
+datasetFile.addEventListener("change", () => {
+  const files = [...(datasetFile.files || [])];
+  if (files.length) importDatasetFiles(files);
+  datasetFile.value = "";
+});
+document.querySelectorAll("input[name='datasetMode']").forEach(el => {
+  el.addEventListener("change", changeDatasetMode);
+});
+document.getElementById("resetDatasetBtn").addEventListener("click", resetDataset);
+document.getElementById("unlockAllBtn").addEventListener("click", unlockAllProgress);
+document.getElementById("resetWeightsBtn").addEventListener("click", resetWeights);
+
+document.getElementById("craftFilter").addEventListener("input", populateCrafting);
+document.getElementById("applyCraftBtn").addEventListener("click", applyCraftingGoals);
+
+document.getElementById("savePresetBtn").addEventListener("click", saveCurrentPreset);
+document.getElementById("presetName").addEventListener("keydown", (e) => {
+  if (e.key === "Enter") saveCurrentPreset();
+});
+document.getElementById("exportPresetsBtn").addEventListener("click", exportPresets);
+document.getElementById("importPresetsBtn").addEventListener("click", () => {
+  document.getElementById("importPresetsFile").click();
+});
+document.getElementById("importPresetsFile").addEventListener("change", (e) => {
+  const file = e.target.files && e.target.files[0];
+  if (file) importPresets(file);
+  e.target.value = "";
+});
+document.getElementById("clearHistoryBtn").addEventListener("click", clearHistory);
+
+document.getElementById("logNode").addEventListener("change", renderLogDrops);
+document.getElementById("logRunBtn").addEventListener("click", logRun);
+document.getElementById("useFarmLog").addEventListener("change", (e) => {
+  SETTINGS.useFarmLog = e.target.checked;
+  saveStored("useFarmLog", SETTINGS.useFarmLog);
+});
+document.getElementById("clearLogBtn").addEventListener("click", clearFarmLog);
+document.getElementById("exportLogBtn").addEventListener("click", exportFarmLog);
+document.getElementById("importLogBtn").addEventListener("click", () => {
+  document.getElementById("importLogFile").click();
+});
+document.getElementById("importLogFile").addEventListener("change", (e) => {
+  const file = e.target.files && e.target.files[0];
+  if (file) importFarmLog(file);
+  e.target.value = "";
+});
+
+document.getElementById("exportInventoryBtn").addEventListener("click", exportInventory);
+document.getElementById("importInventoryBtn").addEventListener("click", () => {
+  document.getElementById("importInventoryFile").click();
+});
+document.getElementById("importInventoryFile").addEventListener("change", (e) => {
+  const file = e.target.files && e.target.files[0];
+  if (file) importInventory(file);
+  e.target.value = "";
+});
+
+registerServiceWorker();
 init();
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// farmplan: plan a farm route from the command line with the same planner as the web UI.
+//
+//   farmplan --goal stops --run endless "Oxium" "Argon Crystal" --format json
+//   farmplan "Oxium=500" Rubedo --modifier resourceBooster --stay 4r
+//   farmplan --goal budget --budget 30 "Oxium=500~must" "Rubedo~low"
+//
+// Resources may carry a target amount as Name=qty and a priority as ~must, ~nice
+// or ~low (route goals cover must-haves first). CSVs are read from --data
+// (default: the folder with index.html); browser-imported datasets are not used.
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+
+import {
+  DEFAULT_MAX_STOPS, DEFAULT_BALANCE, DEFAULT_BUDGET_MINUTES, MAX_BUDGET_MINUTES, DEFAULT_STAY_MINUTES, PRIORITIES, DROP_MODIFIERS, EXPORT_FORMATS, RESOURCES, DATA_ISSUES, SETTINGS,
+  MASTER_FILE, PLANET_FILE, RECIPE_FILE, LINKS_FILE, norm, parseCsv, resolveDataset, indexDataset, createPlan,
+} from "../planner.js";
+
+const USAGE = `Usage: farmplan [options] <resource[=qty][~priority]>...
+
+Options:
+  --goal <efficiency|stops|balanced|budget>
+                                  Max Drops, Min Stops, Balanced or Time budget (default: efficiency)
+  --balance <0-100>               Balanced goal: 0 favours fewer stops, 100 max drops (default: ${DEFAULT_BALANCE})
+  --budget <minutes>              Time budget goal: minutes to spend, up to ${MAX_BUDGET_MINUTES} (default: ${DEFAULT_BUDGET_MINUTES})
+  --run <quick|endless>           run style (default: quick)
+  --max-stops <n>                 Min Stops limit (default: ${DEFAULT_MAX_STOPS})
+  --stay <n>m | <n>r              endless stay in minutes or rotations (default: ${DEFAULT_STAY_MINUTES}m)
+  --modifier <id>                 drop modifier, repeatable: ${DROP_MODIFIERS.map(m => m.id).join(", ")}
+  --format <markdown|json|csv>    output format (default: markdown)
+  --data <dir>                    folder with the CSV files
+  --list                          print the resources in the dataset and exit
+  -h, --help                      show this help`;
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+function fail(message) {
+  process.stderr.write(`farmplan: ${message}\n`);
+  process.exit(2);
+}
+
+async function readCsv(dir, file, { optional = false } = {}) {
+  try {
+    return await readFile(path.join(dir, file), "utf8");
+  } catch (e) {
+    if (optional) return "";
+    fail(`could not read ${path.join(dir, file)} (${e.code || e.message})`);
+  }
+}
+
+async function loadDataset(dir) {
+  const [master, planet, recipes, links] = await Promise.all([
+    readCsv(dir, MASTER_FILE),
+    readCsv(dir, PLANET_FILE),
+    readCsv(dir, RECIPE_FILE, { optional: true }),
+    readCsv(dir, LINKS_FILE, { optional: true }),
+  ]);
+
+  const rows = resolveDataset({
+    master: { name: MASTER_FILE, text: master },
+    planet: { name: PLANET_FILE, text: planet },
+  }, null);
+  indexDataset({ ...rows, recipes: parseCsv(recipes, RECIPE_FILE), links: parseCsv(links, LINKS_FILE) });
+}
+
+function readOptions(values) {
+  const goal = values.goal ?? "efficiency";
+  if (!["efficiency", "stops", "balanced", "budget"].includes(goal)) fail(`unknown goal "${goal}"`);
+
+  const runMode = values.run ?? "quick";
+  if (runMode !== "quick" && runMode !== "endless") fail(`unknown run style "${runMode}"`);
+
+  const format = values.format ?? "markdown";
+  if (!EXPORT_FORMATS[format]) fail(`unknown format "${format}"`);
+
+  const maxStops = values["max-stops"] === undefined ? DEFAULT_MAX_STOPS : Math.floor(Number(values["max-stops"]));
+  if (!(maxStops >= 1)) fail(`--max-stops must be 1 or more`);
+
+  const balance = values.balance === undefined ? DEFAULT_BALANCE : Number(values.balance);
+  if (!(balance >= 0 && balance <= 100)) fail(`--balance must be between 0 and 100`);
+
+  const budget = values.budget === undefined ? DEFAULT_BUDGET_MINUTES : Number(values.budget);
+  if (!(budget > 0)) fail(`--budget must be a positive number of minutes`);
+  if (budget > MAX_BUDGET_MINUTES) process.stderr.write(`farmplan: --budget capped at ${MAX_BUDGET_MINUTES} minutes\n`);
+
+  // Same notation as share links: 20m or 4r
+  const stay = /^(\d+(?:\.\d+)?)([mr])$/.exec(values.stay ?? `${DEFAULT_STAY_MINUTES}m`);
+  if (!stay) fail(`--stay must look like 20m or 4r`);
+
+  const modifiers = values.modifier ?? [];
+  for (const id of modifiers) {
+    if (!DROP_MODIFIERS.some(m => m.id === id)) fail(`unknown modifier "${id}"`);
+  }
+
+  return {
+    goal,
+    runMode,
+    format,
+    maxStops,
+    balance,
+    budget: Math.min(budget, MAX_BUDGET_MINUTES),
+    endlessStay: { value: Number(stay[1]), unit: stay[2] === "r" ? "rotations" : "minutes" },
+    modifiers: new Set(modifiers),
+  };
+}
+
+function readResources(args) {
+  // Display names in dataset order, like the web UI's selection
+  const byKey = new Map(RESOURCES.map(r => [norm(r), r]));
+  const targets = new Map();
+  const priorities = new Map();
+  const unknown = [];
+
+  for (const arg of args) {
+    const [spec, priority] = arg.split("~");
+    const [name, qty] = spec.split("=");
+    const rKey = norm(name);
+    if (!byKey.has(rKey)) {
+      unknown.push(name);
+      continue;
+    }
+    const n = Math.floor(Number(qty));
+    targets.set(rKey, n > 0 ? n : 0);
+    if (priority !== undefined) {
+      if (!PRIORITIES.some(p => p.id === priority)) fail(`unknown priority "${priority}" (${PRIORITIES.map(p => p.id).join(", ")})`);
+      priorities.set(rKey, priority);
+    }
+  }
+  if (unknown.length) fail(`unknown resource(s): ${unknown.join(", ")} (see --list)`);
+
+  return {
+    resources: RESOURCES.filter(r => targets.has(norm(r))),
+    targets: new Map([...targets].filter(([, n]) => n > 0)),
+    priorities,
+  };
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        goal: { type: "string" },
+        run: { type: "string" },
+        "max-stops": { type: "string" },
+        balance: { type: "string" },
+        budget: { type: "string" },
+        stay: { type: "string" },
+        modifier: { type: "string", multiple: true },
+        format: { type: "string" },
+        data: { type: "string" },
+        list: { type: "boolean" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    fail(`${e.message}\n\n${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+
+  await loadDataset(path.resolve(values.data ?? ROOT));
+
+  const errors = DATA_ISSUES.filter(i => i.level === "error").length;
+  if (errors) process.stderr.write(`farmplan: ${errors} dataset error(s); affected rows were skipped\n`);
+
+  if (values.list) {
+    process.stdout.write(`${RESOURCES.join("\n")}\n`);
+    return;
+  }
+
+  const options = readOptions(values);
+  const { resources, targets, priorities } = readResources(positionals);
+  if (resources.length === 0) fail(`no resources given\n\n${USAGE}`);
+
+  SETTINGS.targets = targets;
+  SETTINGS.priorities = priorities;
+  SETTINGS.endlessStay = options.endlessStay;
+  SETTINGS.modifiers = options.modifiers;
+
+  const plan = createPlan({
+    goal: options.goal, runMode: options.runMode, resources, maxStops: options.maxStops, balance: options.balance,
+    budget: options.budget,
+  });
+  process.stdout.write(`${EXPORT_FORMATS[options.format].build(plan)}\n`);
+}
+
+main();
@@ -0,0 +1,2411 @@
+// planner.js
+// Warframe Farm Planner v2 logic: data indexing, scoring and planners.
+// No DOM access; app.js (browser) and bin/farmplan.js (Node) both import it.
+//
+// Data sources:
+// - ResourcesMaster.csv: explicit best nodes per resource with scores
+// - ResourcesPlanet.csv: planetary base-drop map for fallback coverage
+// - Recipes.csv (optional): item,component,quantity rows for crafting goals
+// - PlanetLinks.csv (optional): from,to junction links used to order Min Stops routes
+//
+// Toggles:
+// - Goal: Maximize efficiency vs Minimize stops
+// - Run: Quick run vs Endless run (endless is a hard filter)
+//
+// Fallback score:
+// - If a resource is not explicitly listed for a node, but the node's planet base-drops it, score = 2
+//
+// Quantity estimates:
+// - yieldPerRun (optional column) is the rough amount one run drops; when blank it is
+//   derived from dropScore using the resource's average yield per drop point
+// - run length comes from speedScore (see RUN_MINUTES_BY_SPEED)
+//
+// Endless run:
+// - the user picks a stay (minutes or rotations); rotation-based missions are scored by
+//   resources per minute over that stay, following the A/A/B/C reward cadence
+
+const FALLBACK_SCORE = 2;
+
+// Options within this share of the best score are listed as alternatives (the 90% rule)
+const CLOSE_SCORE_SHARE = 0.9;
+
+// Rough minutes for one run (or one endless stint) by speedScore 1-5
+const RUN_MINUTES_BY_SPEED = [12, 15, 10, 8, 5, 3];
+
+// Endless rotation model: minutes per rotation by mission type. Rewards cycle A, A, B, C;
+// part of the yield comes from enemies/pickups (steady), the rest from rotation rewards.
+const ROTATION_MINUTES = {
+  "survival": 5,
+  "defense": 4,       // 5 waves
+  "interception": 3.5,
+  "excavation": 2.5,  // 2 excavators
+  "disruption": 3.5,  // 1 round
+};
+const ROTATION_CYCLE = ["A", "A", "B", "C"];
+const ROTATION_VALUE = { A: 0.8, B: 1.0, C: 1.4 }; // reward value, averages 1.0 over a full cycle
+const ENDLESS_STEADY_SHARE = 0.6;                  // share of yield not tied to rotation rewards
+export const DEFAULT_STAY_MINUTES = 20;
+
+// Drop modifiers: each multiplies the yield of the sources it affects.
+// Nodes split their yield across sources by mission type (SOURCE_PROFILE).
+export const DROP_MODIFIERS = [
+  { id: "resourceBooster", label: "Resource Booster", mult: 2, sources: ["enemy", "container"] },
+  { id: "dropChanceBooster", label: "Resource Drop Chance Booster", mult: 2, sources: ["enemy", "container"] },
+  { id: "steelPath", label: "Steel Path", mult: 2, sources: ["enemy", "container"] },
+  { id: "desecrate", label: "Nekros: Desecrate", mult: 1.54, sources: ["enemy"] },
+  { id: "strangledome", label: "Khora: Pilfering Strangledome", mult: 1.4, sources: ["enemy"] },
+  { id: "smeeta", label: "Smeeta Kavat: Charm", mult: 1.2, sources: ["enemy", "container"] },
+];
+const SOURCE_PROFILE = {
+  // share of a node's yield from enemies, containers and mission/rotation rewards
+  "survival": { enemy: 0.7, container: 0.1, reward: 0.2 },
+  "defense": { enemy: 0.7, container: 0.05, reward: 0.25 },
+  "interception": { enemy: 0.7, container: 0.05, reward: 0.25 },
+  "disruption": { enemy: 0.6, container: 0.1, reward: 0.3 },
+  "excavation": { enemy: 0.3, container: 0.1, reward: 0.6 },
+  "exterminate": { enemy: 0.6, container: 0.4, reward: 0 },
+  "capture": { enemy: 0.3, container: 0.7, reward: 0 },
+  "rescue": { enemy: 0.4, container: 0.6, reward: 0 },
+  "sabotage": { enemy: 0.4, container: 0.6, reward: 0 },
+  "spy": { enemy: 0.3, container: 0.7, reward: 0 },
+};
+const DEFAULT_SOURCE_PROFILE = { enemy: 0.5, container: 0.2, reward: 0.3 };
+
+// Quick-run scoring defaults (user-editable in Settings > Scoring weights)
+const DEFAULT_MISSION_WEIGHTS = {
+  // Strongly quick-friendly
+  "capture": 1.40,
+  "exterminate": 1.30,
+  "rescue": 1.22,
+  "sabotage": 1.18,
+  // Moderate
+  "spy": 1.10,
+  "disruption": 1.08,
+  "activity": 1.20, // Index, etc.
+  // Usually slower or rotation-based
+  "survival": 0.90,
+  "defense": 0.86,
+  "interception": 0.85,
+  "excavation": 0.92,
+  "mobile defense": 0.82,
+};
+const DEFAULT_ENDLESS_PENALTY = 0.92; // endless nodes whose mission type has no weight
+const DEFAULT_SPEED_MIN = 0.6;        // quickMultiplier at speedScore 0
+const DEFAULT_SPEED_MAX = 1.0;        // quickMultiplier at speedScore 5
+
+// Min Stops solver
+export const DEFAULT_MAX_STOPS = 6;
+const NO_EDITS = { include: [], exclude: [] }; // star chart picks: node keys forced into / kept out of routes
+const SOLVER_NODE_LIMIT = 50000; // search steps per phase before giving up on a proof
+const TOP_ROUTES = 3;             // Min Stops: complete routes kept for comparison
+export const DEFAULT_BALANCE = 50;  // Balanced goal: 0 = fewest stops, 100 = max drops
+const UNLINKED_HOPS = 10;         // travel cost between planets with no junction path
+const TRAVEL_EXACT_LIMIT = 12;    // planets ordered exactly; larger routes use nearest neighbour
+
+// Farm log: logged runs at which the log and the dataset weigh the same
+const LOG_CONFIDENCE_RUNS = 5;
+
+// Per-resource priorities, used as weights by the planners that trade resources off
+export const PRIORITIES = [
+  { id: "must", label: "Must-have", weight: 4 },
+  { id: "nice", label: "Nice-to-have", weight: 2 },
+  { id: "low", label: "Low", weight: 1 },
+];
+export const DEFAULT_PRIORITY = "nice";
+
+// Time budget goal
+export const DEFAULT_BUDGET_MINUTES = 60;
+export const MAX_BUDGET_MINUTES = 480;   // longer budgets are clamped (the greedy search grows with the budget)
+const STOP_OVERHEAD_MINUTES = 2; // loading into and out of a node, paid once per stop
+
+// ----------------------------
+// State
+// ----------------------------
+let MASTER_ROWS = [];                  // normalized rows from ResourcesMaster.csv
+let PLANET_DROPS = new Map();          // resourceKey -> Set(planetKey)
+export let RESOURCES = [];             // unique resources from master
+export let NODE_META = new Map();      // nodeKey -> { planet, missionType, isEndless, speedScore }
+export let PLANETS = [];               // [{ name, key }] planet file order, then planets only nodes mention
+export let DATA_ISSUES = [];           // dataset validation: { level, file, line, message }
+let PLANET_FILE_RESOURCES = new Map(); // resourceKey -> [{ name, planet, file, line }] (validation only)
+export let RECIPES = new Map();        // itemKey -> { name, parts: [{ name, key, qty }] }
+export let PLANET_LINKS = new Map();   // planetKey -> Set(planetKey), undirected junction graph
+
+// Indexes for fast lookup
+let EXPLICIT = new Map();        // resourceKey -> Map(nodeKey -> {dropScore, speedScore, ...})
+let NODE_DROPS = new Map();      // nodeKey -> Map(resourceKey -> same row), the reverse of EXPLICIT
+let PLANET_RESOURCES = new Map(); // planetKey -> Set(resourceKey), the reverse of PLANET_DROPS
+let YIELD_PER_POINT = new Map(); // resourceKey -> average yieldPerRun per dropScore point
+let FARM_LOG_STATS = new Map();  // "resourceKey|nodeKey" -> { resource, nKey, qty, minutes, runs }
+
+// Player settings the planners read. Callers mutate or replace the fields;
+// the web UI restores them from localStorage, the CLI from its flags.
+export const SETTINGS = {
+  lockedPlanets: new Set(),  // planetKey the player has not unlocked
+  lockedNodes: new Set(),    // nodeKey the player has not unlocked
+  modifiers: new Set(),      // DROP_MODIFIERS ids switched on
+  weights: defaultWeights(), // { missions: Map(typeKey -> mult), endlessPenalty, speedMin, speedMax }
+  targets: new Map(),        // resourceKey -> target amount (optional)
+  owned: new Map(),          // resourceKey -> amount already in inventory
+  endlessStay: { value: DEFAULT_STAY_MINUTES, unit: "minutes" }, // target stay per endless stop
+  useFarmLog: false,         // blend logged yields (indexFarmLog) into scores and estimates
+  priorities: new Map(),     // resourceKey -> PRIORITIES id (DEFAULT_PRIORITY when missing)
+};
+
+export function norm(s) {
+  return String(s ?? "").trim().toLowerCase();
+}
+
+export function titleCase(s) {
+  return String(s ?? "")
+    .trim()
+    .split(" ")
+    .filter(Boolean)
+    .map(w => w.charAt(0).toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+
+// ----------------------------
+// CSV parsing
+// ----------------------------
+export function resourceIconName(resourceName) {
+  return String(resourceName ?? "")
+    .replace(/\s+/g, ""); // remove spaces only
+}
+
+export function dataVersion(texts) {
+  // Short FNV-1a hash of the CSV texts: changes whenever any file does, same on every device
+  let hash = 0x811c9dc5;
+  for (const text of texts) {
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+
+export function parseCsv(text, file = "") {
+  // Minimal CSV parser that handles commas and quotes.
+  // Assumes first row is header.
+  // Each object gets non-enumerable __line (1-based line of the row) and __file.
+  const rows = [];
+  const rowLines = [];
+  let i = 0;
+  let field = "";
+  let row = [];
+  let inQuotes = false;
+  let line = 1;
+  let rowStart = 1;
+
+  function pushField() {
+    row.push(field);
+    field = "";
+  }
+  function pushRow() {
+    // ignore empty trailing lines
+    if (row.length === 1 && row[0].trim() === "") {
+      row = [];
+      rowStart = line;
+      return;
+    }
+    rows.push(row);
+    rowLines.push(rowStart);
+    row = [];
+    rowStart = line;
+  }
+
+  while (i < text.length) {
+    const c = text[i];
+
+    if (inQuotes) {
+      if (c === "\"") {
+        const next = text[i + 1];
+        if (next === "\"") {
+          field += "\"";
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        i += 1;
+        continue;
+      }
+      if (c === "\n") line += 1;
+      field += c;
+      i += 1;
+      continue;
+    }
+
+    if (c === "\"") {
+      inQuotes = true;
+      i += 1;
+      continue;
+    }
+
+    if (c === ",") {
+      pushField();
+      i += 1;
+      continue;
+    }
+
+    if (c === "\n") {
+      line += 1;
+      pushField();
+      pushRow();
+      i += 1;
+      continue;
+    }
+
+    if (c === "\r") {
+      i += 1;
+      continue;
+    }
+
+    field += c;
+    i += 1;
+  }
+
+  pushField();
+  pushRow();
+
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(h => h.trim());
+  const out = [];
+  for (let r = 1; r < rows.length; r++) {
+    const obj = {};
+    for (let c = 0; c < header.length; c++) {
+      obj[header[c]] = rows[r][c] ?? "";
+    }
+    Object.defineProperty(obj, "__line", { value: rowLines[r] });
+    Object.defineProperty(obj, "__file", { value: file });
+    out.push(obj);
+  }
+  return out;
+}
+
+// ----------------------------
+// Dataset validation
+// ----------------------------
+// Indexing keeps going on bad rows; everything it skips or guesses is recorded
+// here with its CSV line so the "Data health" view can point at it.
+export const MASTER_FILE = "ResourcesMaster.csv";
+export const PLANET_FILE = "ResourcesPlanet.csv";
+export const RECIPE_FILE = "Recipes.csv";
+export const LINKS_FILE = "PlanetLinks.csv";
+
+export function addIssue(level, file, line, message) {
+  DATA_ISSUES.push({ level, file, line, message });
+}
+
+function checkNumber(raw, label, min, max, file, line, { optional = false } = {}) {
+  const s = String(raw ?? "").trim();
+  if (s === "") {
+    if (!optional) addIssue("warning", file, line, `${label} is empty (treated as 0).`);
+    return;
+  }
+  const n = Number(s);
+  if (!Number.isFinite(n)) {
+    addIssue("error", file, line, `${label} "${s}" is not a number (treated as 0).`);
+  } else if (n < min || n > max) {
+    addIssue("warning", file, line, `${label} ${n} is outside ${min}-${max}.`);
+  }
+}
+
+function validateMasterRow(row) {
+  const file = row.__file || MASTER_FILE;
+  const line = row.__line;
+
+  if (!String(row.planet ?? row.Planet ?? "").trim()) {
+    addIssue("warning", file, line, "Planet is empty.");
+  }
+  if (!String(row.missionType ?? row.MissionType ?? "").trim()) {
+    addIssue("warning", file, line, "missionType is empty (shown as Other).");
+  }
+
+  const endless = String(row.isEndless ?? row.IsEndless ?? "").trim().toLowerCase();
+  if (endless !== "true" && endless !== "false") {
+    addIssue("warning", file, line, `isEndless "${endless}" should be TRUE or FALSE (treated as FALSE).`);
+  }
+
+  checkNumber(row.speedScore ?? row.SpeedScore, "speedScore", 1, 5, file, line);
+  checkNumber(row.dropScore ?? row.DropScore, "dropScore", 0, 10, file, line);
+  checkNumber(row.yieldPerRun ?? row.YieldPerRun, "yieldPerRun", 0, Infinity, file, line, { optional: true });
+}
+
+function describeLine(file, line, relativeTo) {
+  return file === relativeTo ? `line ${line}` : `${file} line ${line}`;
+}
+
+function validateNodeConsistency(meta, row) {
+  // NODE_META keeps the first row of a node; later rows must agree with it
+  const fields = [
+    ["planet", meta.planet, row.planet],
+    ["missionType", meta.missionType, row.missionType || "Other"],
+    ["isEndless", meta.isEndless, row.isEndless],
+    ["speedScore", meta.speedScore, row.speedScore],
+  ];
+  const firstAt = describeLine(meta.file, meta.line, row.file);
+  for (const [name, first, value] of fields) {
+    if (norm(first) === norm(value)) continue;
+    addIssue("warning", row.file, row.line,
+      `Node ${meta.node}: ${name} "${value}" differs from ${firstAt} ("${first}"); ${firstAt} is used.`);
+  }
+}
+
+function validateCrossFile(planetLines) {
+  // Planets used by nodes but missing from the planet file (reported once per planet)
+  const reported = new Set();
+  for (const r of MASTER_ROWS) {
+    if (!r.pKey || planetLines.has(r.pKey) || reported.has(r.pKey)) continue;
+    reported.add(r.pKey);
+    addIssue("warning", r.file, r.line, `Planet "${r.planet}" is not listed in the planet file (no fallback drops).`);
+  }
+
+  // Planet drops for resources the master file never mentions
+  for (const [rKey, entries] of PLANET_FILE_RESOURCES) {
+    if (EXPLICIT.has(rKey)) continue;
+    for (const e of entries) {
+      addIssue("warning", e.file, e.line, `Resource "${e.name}" on ${e.planet} has no entry in the master file.`);
+    }
+  }
+}
+
+
+// ----------------------------
+// Data loading + indexing
+// ----------------------------
+
+
+function masterRowKey(row) {
+  const resource = norm(row.resource ?? row.Resource);
+  const node = norm(row.node ?? row.Node);
+  return resource && node ? `${resource}|${node}` : "";
+}
+
+function planetRowKey(row) {
+  return norm(row.planet ?? row.Planet);
+}
+
+function mergeRows(baseRows, overrideRows, keyOf) {
+  // Row-level override: a matching key replaces the bundled row in place,
+  // anything new is appended. Keyless rows are kept so validation still sees them.
+  const out = [...baseRows];
+  const index = new Map();
+  out.forEach((row, i) => {
+    const key = keyOf(row);
+    if (key) index.set(key, i);
+  });
+
+  for (const row of overrideRows) {
+    const key = keyOf(row);
+    if (key && index.has(key)) {
+      out[index.get(key)] = row;
+    } else {
+      if (key) index.set(key, out.length);
+      out.push(row);
+    }
+  }
+  return out;
+}
+
+export function resolveDataset(bundled, custom) {
+  // Picks the rows indexDataset gets: bundled only, custom replacing, or custom merged over bundled
+  const parse = f => parseCsv(f.text, f.name);
+  let master = parse(bundled.master);
+  let planet = parse(bundled.planet);
+
+  if (custom?.master) {
+    const rows = parse(custom.master);
+    master = custom.mode === "merge" ? mergeRows(master, rows, masterRowKey) : rows;
+  }
+  if (custom?.planet) {
+    const rows = parse(custom.planet);
+    planet = custom.mode === "merge" ? mergeRows(planet, rows, planetRowKey) : rows;
+  }
+
+  return { master, planet };
+}
+
+
+function indexData(master, planet) {
+  MASTER_ROWS = [];
+  DATA_ISSUES = [];
+
+  // Build explicit rows and node meta
+  NODE_META = new Map();
+  EXPLICIT = new Map();
+
+  for (const row of master) {
+    const resource = String(row.resource ?? row.Resource ?? "").trim();
+    const node = String(row.node ?? row.Node ?? "").trim();
+    const planetName = String(row.planet ?? row.Planet ?? "").trim();
+    const missionType = String(row.missionType ?? row.MissionType ?? "").trim();
+    const isEndless = String(row.isEndless ?? row.IsEndless ?? "").trim().toLowerCase() === "true";
+    const speedScore = Number(row.speedScore ?? row.SpeedScore ?? 0) || 0;
+    const dropScore = Number(row.dropScore ?? row.DropScore ?? 0) || 0;
+    const yieldPerRun = Number(row.yieldPerRun ?? row.YieldPerRun ?? 0) || 0;
+    const file = row.__file || MASTER_FILE;
+    const line = row.__line;
+
+    if (!resource || !node) {
+      addIssue("error", file, line, "Missing resource or node name; row skipped.");
+      continue;
+    }
+    validateMasterRow(row);
+
+    const rKey = norm(resource);
+    const nKey = norm(node);
+
+    MASTER_ROWS.push({
+      resource,
+      node,
+      planet: planetName,
+      missionType,
+      isEndless,
+      speedScore,
+      dropScore,
+      yieldPerRun,
+      rKey,
+      nKey,
+      pKey: norm(planetName),
+      file,
+      line,
+    });
+
+    // node meta (first one wins; disagreements are reported by validation)
+    if (!NODE_META.has(nKey)) {
+      NODE_META.set(nKey, {
+        node,
+        planet: planetName,
+        planetKey: norm(planetName),
+        missionType: missionType || "Other",
+        isEndless,
+        // speedScore in meta is not perfect (differs by row sometimes),
+        // but is good enough as a general preference signal.
+        speedScore,
+        file,
+        line,
+      });
+    } else {
+      validateNodeConsistency(NODE_META.get(nKey), MASTER_ROWS[MASTER_ROWS.length - 1]);
+    }
+
+    if (!EXPLICIT.has(rKey)) EXPLICIT.set(rKey, new Map());
+    if (EXPLICIT.get(rKey).has(nKey)) {
+      addIssue("warning", file, line, `Duplicate row for ${resource} at ${node}; this row overrides the earlier one.`);
+    }
+    EXPLICIT.get(rKey).set(nKey, { dropScore, speedScore, isEndless, yieldPerRun });
+  }
+
+  // Reverse index, built after the loop so overriding duplicates agree with EXPLICIT
+  NODE_DROPS = new Map();
+  for (const [rKey, nodes] of EXPLICIT) {
+    for (const [nKey, row] of nodes) {
+      if (!NODE_DROPS.has(nKey)) NODE_DROPS.set(nKey, new Map());
+      NODE_DROPS.get(nKey).set(rKey, row);
+    }
+  }
+
+  // Yield per drop point: lets rows without yieldPerRun (and planet fallback) estimate amounts
+  YIELD_PER_POINT = new Map();
+  const yieldSums = new Map(); // rKey -> { sum, count }
+  for (const r of MASTER_ROWS) {
+    if (r.yieldPerRun <= 0 || r.dropScore <= 0) continue;
+    const acc = yieldSums.get(r.rKey) || { sum: 0, count: 0 };
+    acc.sum += r.yieldPerRun / r.dropScore;
+    acc.count += 1;
+    yieldSums.set(r.rKey, acc);
+  }
+  for (const [rKey, acc] of yieldSums) {
+    YIELD_PER_POINT.set(rKey, acc.sum / acc.count);
+  }
+
+  // Unique resources list (from explicit only)
+  const uniqueResources = new Map(); // rKey -> displayName (first)
+  for (const r of MASTER_ROWS) {
+    if (!uniqueResources.has(r.rKey)) uniqueResources.set(r.rKey, r.resource);
+  }
+  RESOURCES = [...uniqueResources.values()].sort((a, b) => a.localeCompare(b));
+
+  // Planet drops: resource -> set(planets)
+  PLANET_DROPS = new Map();
+  PLANET_RESOURCES = new Map();
+  PLANET_FILE_RESOURCES = new Map();
+  const planetLines = new Map(); // planetKey -> { file, line } of its first row
+  for (const row of planet) {
+    const planetName = String(row.planet ?? row.Planet ?? "").trim();
+    const resources = String(row.resources ?? row.Resources ?? "").trim();
+    const file = row.__file || PLANET_FILE;
+    const line = row.__line;
+
+    if (!planetName) {
+      addIssue("error", file, line, "Missing planet name; row skipped.");
+      continue;
+    }
+
+    const pKey = norm(planetName);
+    if (planetLines.has(pKey)) {
+      const first = planetLines.get(pKey);
+      addIssue("warning", file, line, `Planet ${planetName} is listed again (first on ${describeLine(first.file, first.line, file)}); drops are merged.`);
+    } else {
+      planetLines.set(pKey, { file, line });
+    }
+
+    const list = resources
+      .split(",")
+      .map(s => s.trim())
+      .filter(Boolean);
+
+    if (list.length === 0) addIssue("warning", file, line, `Planet ${planetName} has no resources.`);
+
+    for (const r of list) {
+      const rKey = norm(r);
+      if (!PLANET_DROPS.has(rKey)) PLANET_DROPS.set(rKey, new Set());
+      PLANET_DROPS.get(rKey).add(pKey);
+      if (!PLANET_RESOURCES.has(pKey)) PLANET_RESOURCES.set(pKey, new Set());
+      PLANET_RESOURCES.get(pKey).add(rKey);
+
+      if (!PLANET_FILE_RESOURCES.has(rKey)) PLANET_FILE_RESOURCES.set(rKey, []);
+      PLANET_FILE_RESOURCES.get(rKey).push({ name: r, planet: planetName, file, line });
+    }
+  }
+
+  validateCrossFile(planetLines);
+
+  // Planet list for star chart progress
+  const planetNames = new Map();
+  for (const row of planet) {
+    const name = String(row.planet ?? row.Planet ?? "").trim();
+    if (name && !planetNames.has(norm(name))) planetNames.set(norm(name), name);
+  }
+  for (const meta of NODE_META.values()) {
+    if (meta.planetKey && !planetNames.has(meta.planetKey)) planetNames.set(meta.planetKey, meta.planet);
+  }
+  PLANETS = [...planetNames].map(([key, name]) => ({ key, name }));
+}
+
+function indexRecipes(rows) {
+  // Runs after indexData, which resets DATA_ISSUES
+  RECIPES = new Map();
+
+  for (const row of rows) {
+    const item = String(row.item ?? row.Item ?? "").trim();
+    const component = String(row.component ?? row.Component ?? "").trim();
+    const qtyRaw = String(row.quantity ?? row.Quantity ?? "").trim();
+    const file = row.__file || RECIPE_FILE;
+    const line = row.__line;
+
+    if (!item || !component) {
+      addIssue("error", file, line, "Missing item or component; row skipped.");
+      continue;
+    }
+    const qty = Number(qtyRaw);
+    if (!Number.isFinite(qty) || qty <= 0) {
+      addIssue("error", file, line, `quantity "${qtyRaw}" must be a positive number; row skipped.`);
+      continue;
+    }
+
+    const itemKey = norm(item);
+    if (!RECIPES.has(itemKey)) RECIPES.set(itemKey, { name: item, parts: [] });
+    RECIPES.get(itemKey).parts.push({ name: component, key: norm(component), qty });
+  }
+
+  // Only items on a loop contain themselves; the ones that merely use such an item get the loop named
+  for (const [itemKey, recipe] of RECIPES) {
+    const { loops } = expandCrafting(new Map([[itemKey, 1]]));
+    if (loops.length === 0) continue;
+    if (loops.some(loop => loop.includes(itemKey))) {
+      addIssue("warning", RECIPE_FILE, null, `Recipe for ${recipe.name} contains itself; the loop is not expanded.`);
+    } else {
+      const names = loops[0].map(k => RECIPES.get(k).name).join(" > ");
+      addIssue("warning", RECIPE_FILE, null, `Recipe for ${recipe.name} depends on a recipe loop (${names}); the loop is not expanded.`);
+    }
+  }
+}
+
+function indexPlanetLinks(rows) {
+  PLANET_LINKS = new Map();
+  const known = new Set(PLANETS.map(p => p.key));
+
+  for (const row of rows) {
+    const from = String(row.from ?? row.From ?? "").trim();
+    const to = String(row.to ?? row.To ?? "").trim();
+    const file = row.__file || LINKS_FILE;
+
+    if (!from || !to) {
+      addIssue("error", file, row.__line, "Missing from or to planet; row skipped.");
+      continue;
+    }
+    for (const name of [from, to]) {
+      if (!known.has(norm(name))) addIssue("warning", file, row.__line, `Planet "${name}" is not in the dataset.`);
+    }
+
+    // Junctions work both ways
+    for (const [a, b] of [[from, to], [to, from]]) {
+      if (!PLANET_LINKS.has(norm(a))) PLANET_LINKS.set(norm(a), new Set());
+      PLANET_LINKS.get(norm(a)).add(norm(b));
+    }
+  }
+}
+
+export function indexDataset({ master, planet, recipes = [], links = [] }) {
+  // Parsed CSV rows in; rebuilds every index and DATA_ISSUES.
+  // Recipes and links come last: they check names against the master/planet data.
+  indexData(master, planet);
+  indexRecipes(recipes);
+  indexPlanetLinks(links);
+}
+
+
+// ----------------------------
+// Targets
+// ----------------------------
+export function neededAmount(rKey) {
+  // Deficit: target minus owned (0 when no target is set)
+  const target = SETTINGS.targets.get(rKey) || 0;
+  return Math.max(0, target - (SETTINGS.owned.get(rKey) || 0));
+}
+
+export function priorityOf(rKey) {
+  const id = SETTINGS.priorities.get(rKey);
+  return PRIORITIES.find(p => p.id === id) || PRIORITIES.find(p => p.id === DEFAULT_PRIORITY);
+}
+
+function priorityFactor(rKey) {
+  // Route scores are relative to the default priority, so unprioritized selections score as before
+  return priorityOf(rKey).weight / PRIORITIES.find(p => p.id === DEFAULT_PRIORITY).weight;
+}
+
+function withPriority(rKey, { score, factors }) {
+  const factor = priorityFactor(rKey);
+  if (factor === 1) return { score, factors };
+  return { score: score * factor, factors: [...factors, { label: `Priority (${priorityOf(rKey).label})`, value: factor }] };
+}
+
+export function isTargetMet(rKey) {
+  return (SETTINGS.targets.get(rKey) || 0) > 0 && neededAmount(rKey) === 0;
+}
+
+
+// ----------------------------
+// Crafting goals
+// ----------------------------
+// Items expand through Recipes.csv down to farmable resources (anything in
+// RESOURCES). Components with their own recipe are expanded too; whatever is
+// neither farmable nor craftable (blueprints, invasion drops, ...) is "external".
+export function expandCrafting(goals) {
+  const farmable = new Map(RESOURCES.map(r => [norm(r), r]));
+  const totals = new Map();   // resourceKey -> amount
+  const external = new Map(); // display name -> amount
+  const cycles = [];
+  const loops = [];           // recipe keys on each loop, first key repeated at the end
+
+  function add(map, key, qty) {
+    map.set(key, (map.get(key) || 0) + qty);
+  }
+
+  function expand(key, name, qty, path) {
+    // Farmable wins over a recipe of the same name: that is what the planner can route
+    if (farmable.has(key)) return add(totals, key, qty);
+
+    const recipe = RECIPES.get(key);
+    if (!recipe) return add(external, name, qty);
+
+    if (path.includes(key)) {
+      cycles.push([...path, key].map(k => RECIPES.get(k)?.name || k).join(" > "));
+      loops.push([...path.slice(path.indexOf(key)), key]);
+      return;
+    }
+    for (const part of recipe.parts) {
+      expand(part.key, part.name, part.qty * qty, [...path, key]);
+    }
+  }
+
+  for (const [key, qty] of goals) {
+    if (qty > 0) expand(key, RECIPES.get(key)?.name || key, qty, []);
+  }
+  return { totals, external, cycles, loops };
+}
+
+
+// ----------------------------
+// Scoring weights
+// ----------------------------
+export function defaultWeights() {
+  return {
+    missions: new Map(Object.entries(DEFAULT_MISSION_WEIGHTS)),
+    endlessPenalty: DEFAULT_ENDLESS_PENALTY,
+    speedMin: DEFAULT_SPEED_MIN,
+    speedMax: DEFAULT_SPEED_MAX,
+  };
+}
+
+export function quickMultiplier(speedScore) {
+  // speedScore is 1-5; keep bias meaningful but not dominant
+  const s = Math.max(0, Math.min(5, Number(speedScore) || 0));
+  const { speedMin, speedMax } = SETTINGS.weights;
+  return speedMin + (speedMax - speedMin) * (s / 5);
+}
+
+
+// ----------------------------
+// Scoring helpers
+// ----------------------------
+function getExplicitScore(rKey, nKey) {
+  const map = EXPLICIT.get(rKey);
+  if (!map) return null;
+  return map.get(nKey) || null;
+}
+
+function planetHasResourceFallback(rKey, planetKey) {
+  const set = PLANET_DROPS.get(rKey);
+  return Boolean(set && set.has(planetKey));
+}
+
+function computeEffScore(rKey, nKey, via, runMode) {
+  // { score, factors }: the score is the product of the factors, which the UI shows as "why this node"
+  const factors = scoreFactors(rKey, nKey, via, runMode);
+  return { score: factors.reduce((product, f) => product * f.value, 1), factors };
+}
+
+function scoreFactors(rKey, nKey, via, runMode) {
+  const meta = NODE_META.get(nKey) || {};
+  const missionType = meta.missionType || "";
+  const explicit = via === "explicit" ? getExplicitScore(rKey, nKey) : null;
+
+  const factors = explicit
+    ? [{ label: "dropScore", value: Number(explicit.dropScore) || 0 }]
+    : [{ label: "Planet fallback", value: FALLBACK_SCORE }];
+
+  if (runMode === "quick") {
+    const speedScore = Number(explicit ? explicit.speedScore : meta.speedScore) || 0;
+    factors.push({ label: `Speed bias (speedScore ${speedScore})`, value: quickMultiplier(speedScore) });
+    factors.push({
+      label: `Mission weight (${titleCase(missionType) || "Other"}${meta.isEndless ? ", endless" : ""})`,
+      value: quickMissionMultiplier(missionType, meta.isEndless),
+    });
+  } else {
+    // endless mode: no need to bias by mission type because it's already filtered,
+    // but the stay length decides how much of the rotation rewards you collect
+    const minutes = stayMinutes(meta);
+    factors.push({ label: `Endless stay (${Math.round(minutes)} min)`, value: endlessRateFactor(missionType, minutes) });
+  }
+
+  // Optional layers only show up when they change something
+  const modifiers = modifierMultiplier(meta);
+  if (modifiers !== 1) factors.push({ label: "Drop modifiers", value: modifiers });
+  const logged = farmLogFactor(rKey, nKey);
+  if (logged !== 1) factors.push({ label: "Farm log", value: logged });
+
+  return factors;
+}
+
+export function formatFactors(factors) {
+  // "dropScore 7 × Speed bias (speedScore 4) 0.92 = 6.44"
+  const total = factors.reduce((product, f) => product * f.value, 1);
+  return `${factors.map(f => `${f.label} ${Number(f.value.toFixed(2))}`).join(" × ")} = ${total.toFixed(2)}`;
+}
+
+export function nodeBlockReason(nMeta, runMode) {
+  // null when the node can be used, otherwise why not: "runMode" | "planetLocked" | "nodeLocked"
+  if (runMode === "endless" && !nMeta.isEndless) return "runMode";
+  if (SETTINGS.lockedPlanets.has(nMeta.planetKey)) return "planetLocked";
+  if (SETTINGS.lockedNodes.has(norm(nMeta.node))) return "nodeLocked";
+  return null;
+}
+
+function nodeEligible(nMeta, runMode) {
+  return nodeBlockReason(nMeta, runMode) === null;
+}
+
+function explainUnreachable(rKey, runMode) {
+  // Why no eligible node drops this resource (used for notes and "Missing" lists)
+  const map = EXPLICIT.get(rKey);
+  if (!map || map.size === 0) return "No explicit data for this resource.";
+
+  const locked = new Map(); // planet -> [node]
+  let wrongRunMode = 0;
+  for (const nKey of map.keys()) {
+    const meta = NODE_META.get(nKey);
+    if (!meta) continue;
+    const reason = nodeBlockReason(meta, runMode);
+    if (reason === "runMode") wrongRunMode += 1;
+    else if (reason) {
+      if (!locked.has(meta.planet)) locked.set(meta.planet, []);
+      locked.get(meta.planet).push(meta.node);
+    }
+  }
+
+  if (locked.size > 0) {
+    const where = [...locked].map(([planet, nodes]) => `${planet} (${nodes.join(", ")})`).join(", ");
+    return `Locked by star chart progress: needs ${where}.`;
+  }
+  if (wrongRunMode > 0) return "No endless node drops it; try Quick run.";
+  return "No eligible nodes found for this run style.";
+}
+
+export function formatNodeLine(nMeta) {
+  const mt = nMeta.missionType || "Other";
+  const endTag = nMeta.isEndless ? "Endless" : "Quick";
+  return `${nMeta.node} (${nMeta.planet}) • ${mt} • ${endTag}`;
+}
+
+export function missionWeightKey(missionType) {
+  // Exact type first, then the longest known type it contains
+  // ("mobile defense" must win over "defense", "void survival" still counts as survival)
+  const mt = norm(missionType);
+  if (SETTINGS.weights.missions.has(mt)) return mt;
+
+  let best = null;
+  for (const key of SETTINGS.weights.missions.keys()) {
+    if (mt.includes(key) && (!best || key.length > best.length)) best = key;
+  }
+  return best;
+}
+
+function quickMissionMultiplier(missionType, isEndless) {
+  const key = missionWeightKey(missionType);
+  if (key) return SETTINGS.weights.missions.get(key);
+
+  // Default neutral, with a small penalty for endless when user asked "Quick"
+  return isEndless ? SETTINGS.weights.endlessPenalty : 1.0;
+}
+
+
+// ----------------------------
+// Drop modifiers
+// ----------------------------
+function sourceProfile(missionType) {
+  // Exact type only; unknown types get the generic split
+  return SOURCE_PROFILE[norm(missionType)] || DEFAULT_SOURCE_PROFILE;
+}
+
+function modifierMultiplier(meta) {
+  // Weighted by source: Desecrate on a container-heavy capture node barely moves the needle
+  if (SETTINGS.modifiers.size === 0) return 1;
+
+  const profile = sourceProfile(meta?.missionType || "");
+  let total = 0;
+  for (const [source, share] of Object.entries(profile)) {
+    let mult = 1;
+    for (const mod of DROP_MODIFIERS) {
+      if (SETTINGS.modifiers.has(mod.id) && mod.sources.includes(source)) mult *= mod.mult;
+    }
+    total += share * mult;
+  }
+  return total;
+}
+
+export function formatScore(o) {
+  // Boosted score with the unboosted value next to it when modifiers change it
+  // (time budget value scores have no unboosted value)
+  const mult = o.valueScore ? 1 : modifierMultiplier(o.meta);
+  const boosted = o.score.toFixed(2);
+  if (Math.abs(mult - 1) < 1e-9) return boosted;
+  return `${boosted} (base ${(o.score / mult).toFixed(2)})`;
+}
+
+
+// ----------------------------
+// Farm log calibration
+// ----------------------------
+// Logged runs give an empirical per-minute yield per resource and node. With
+// SETTINGS.useFarmLog the dataset yield is scaled toward it; the log's weight
+// grows with the number of runs (runs / (runs + LOG_CONFIDENCE_RUNS)).
+export function indexFarmLog(entries) {
+  // entries: [{ node, minutes, drops: { resourceName: qty } }]
+  FARM_LOG_STATS = new Map();
+  for (const entry of entries) {
+    const nKey = norm(entry.node);
+    const minutes = Number(entry.minutes) || 0;
+    if (!NODE_META.has(nKey) || minutes <= 0) continue;
+
+    for (const [resource, qty] of Object.entries(entry.drops || {})) {
+      const key = `${norm(resource)}|${nKey}`;
+      const acc = FARM_LOG_STATS.get(key) || { resource, nKey, qty: 0, minutes: 0, runs: 0 };
+      acc.qty += Number(qty) || 0;
+      acc.minutes += minutes;
+      acc.runs += 1;
+      FARM_LOG_STATS.set(key, acc);
+    }
+  }
+}
+
+function datasetPerMinute(rKey, nKey) {
+  const meta = NODE_META.get(nKey);
+  if (!meta) return 0;
+  const via = getExplicitScore(rKey, nKey) ? "explicit" : "planet";
+  if (via === "planet" && !planetHasResourceFallback(rKey, meta.planetKey)) return 0;
+  return datasetYieldPerRun(rKey, nKey, via) / runMinutes(meta);
+}
+
+function farmLogFactor(rKey, nKey) {
+  // Multiplier on the dataset yield; 1 when the log is off or has nothing to compare
+  if (!SETTINGS.useFarmLog || rKey === undefined) return 1;
+  const stats = FARM_LOG_STATS.get(`${rKey}|${nKey}`);
+  const expected = datasetPerMinute(rKey, nKey);
+  if (!stats || expected <= 0) return 1;
+
+  const weight = stats.runs / (stats.runs + LOG_CONFIDENCE_RUNS);
+  return (1 - weight) + weight * (stats.qty / stats.minutes) / expected;
+}
+
+export function farmLogSummary(rKey, nKey) {
+  // { resource, node, perMinute, runs, minutes, datasetPerMinute, weight }, or null without logged runs
+  const stats = FARM_LOG_STATS.get(`${rKey}|${nKey}`);
+  if (!stats) return null;
+  return {
+    resource: stats.resource,
+    node: NODE_META.get(nKey)?.node || nKey,
+    perMinute: stats.qty / stats.minutes,
+    runs: stats.runs,
+    minutes: stats.minutes,
+    datasetPerMinute: datasetPerMinute(rKey, nKey),
+    weight: stats.runs / (stats.runs + LOG_CONFIDENCE_RUNS),
+  };
+}
+
+export function farmLogSummaries() {
+  return [...FARM_LOG_STATS.keys()].map(key => farmLogSummary(...key.split("|")));
+}
+
+export function nodeResources(nKey) {
+  // Display names of everything a node can drop: explicit rows plus its planet's base drops
+  return nodeDrops(nKey).map(d => d.resource).sort((a, b) => a.localeCompare(b));
+}
+
+
+// ----------------------------
+// Endless rotations
+// ----------------------------
+function rotationMinutes(missionType) {
+  // null for endless types without rotations (Index, free roam, ...)
+  // Exact type only: "mobile defense" does not run on Defense wave timing
+  return ROTATION_MINUTES[norm(missionType)] ?? null;
+}
+
+function stayMinutes(meta) {
+  // The user's target stay in minutes for this node (rotations depend on mission type)
+  if (SETTINGS.endlessStay.unit === "rotations") {
+    const rot = rotationMinutes(meta?.missionType || "");
+    return SETTINGS.endlessStay.value * (rot || RUN_MINUTES_BY_SPEED[0] / 4);
+  }
+  return SETTINGS.endlessStay.value;
+}
+
+function endlessRateFactor(missionType, minutes) {
+  // Resources per minute over a stay, relative to an average full rotation cycle (= 1.0).
+  // Leaving mid-rotation wastes the partial rotation; leaving after C pays best.
+  const rot = rotationMinutes(missionType);
+  if (!rot || minutes <= 0) return 1;
+
+  const completed = Math.floor(minutes / rot + 1e-9);
+  let rewards = 0;
+  for (let i = 0; i < completed; i++) rewards += ROTATION_VALUE[ROTATION_CYCLE[i % ROTATION_CYCLE.length]];
+
+  return ENDLESS_STEADY_SHARE + (1 - ENDLESS_STEADY_SHARE) * (rewards / (minutes / rot));
+}
+
+function recommendStay(meta, needMinutes) {
+  // How long to stay at an endless stop: long enough for the targets (or the user's stay),
+  // rounded up to the end of the next full A/A/B/C cycle so every stay leaves after a C reward
+  const base = needMinutes > 0 ? needMinutes : stayMinutes(meta);
+  const rot = rotationMinutes(meta?.missionType || "");
+  if (!rot) return { minutes: Math.ceil(base), rotations: null, endsOn: null };
+
+  const cycle = ROTATION_CYCLE.length;
+  const rotations = Math.max(1, Math.ceil(Math.ceil(base / rot - 1e-9) / cycle)) * cycle;
+
+  return {
+    minutes: rotations * rot,
+    rotations,
+    endsOn: ROTATION_CYCLE[(rotations - 1) % ROTATION_CYCLE.length],
+  };
+}
+
+export function formatStay(stay) {
+  if (!stay) return "";
+  const mins = `~${Math.round(stay.minutes)} min`;
+  if (!stay.rotations) return `Stay ${mins}`;
+  const rotWord = stay.rotations === 1 ? "rotation" : "rotations";
+  return `Stay ${mins} (${stay.rotations} ${rotWord}, ends on ${stay.endsOn})`;
+}
+
+// ----------------------------
+// Quantity estimates
+// ----------------------------
+function runMinutes(meta) {
+  const s = Math.max(0, Math.min(5, Math.round(Number(meta?.speedScore) || 0)));
+  return RUN_MINUTES_BY_SPEED[s];
+}
+
+function estimateYieldPerRun(rKey, nKey, via) {
+  return datasetYieldPerRun(rKey, nKey, via) * farmLogFactor(rKey, nKey);
+}
+
+function datasetYieldPerRun(rKey, nKey, via) {
+  const perPoint = YIELD_PER_POINT.get(rKey) || 0;
+
+  if (via === "planet") return FALLBACK_SCORE * perPoint;
+
+  const explicit = getExplicitScore(rKey, nKey);
+  if (!explicit) return 0;
+  if (explicit.yieldPerRun > 0) return explicit.yieldPerRun;
+  return explicit.dropScore * perPoint;
+}
+
+function estimateForTarget(rKey, nKey, via, runMode) {
+  // Returns { need, perRun, runs, minutes, runLength, needMinutes } or null when nothing is needed
+  // need = target minus what the inventory already holds
+  // In endless mode a "run" is one stay of the user's length, scaled by the rotation model.
+  const need = neededAmount(rKey);
+  if (need <= 0) return null;
+
+  const meta = NODE_META.get(nKey);
+  let perRun = estimateYieldPerRun(rKey, nKey, via) * modifierMultiplier(meta);
+  let runLength = runMinutes(meta);
+
+  if (runMode === "endless" && meta?.isEndless) {
+    const perMinute = (perRun / runLength) * endlessRateFactor(meta.missionType || "", stayMinutes(meta));
+    runLength = stayMinutes(meta);
+    perRun = perMinute * runLength;
+  }
+
+  if (perRun <= 0) return { need, perRun: 0, runs: null, minutes: null, runLength, needMinutes: null };
+
+  const runs = Math.ceil(need / perRun);
+  return { need, perRun, runs, minutes: runs * runLength, runLength, needMinutes: (need / perRun) * runLength };
+}
+
+function combineEstimates(estimates) {
+  // A stop needs as many runs as its slowest covered resource
+  const known = estimates.filter(e => e && e.runs !== null);
+  if (known.length === 0) return null;
+  const runs = Math.max(...known.map(e => e.runs));
+  const runLength = known[0].runLength;
+  const needMinutes = Math.max(...known.map(e => e.needMinutes));
+  return { runs, minutes: runs * runLength, runLength, needMinutes };
+}
+
+export function formatEstimate(est) {
+  if (!est) return "";
+  if (est.runs === null) return "no yield estimate";
+  const runWord = est.runs === 1 ? "run" : "runs";
+  return `~${est.runs} ${runWord} • ~${Math.round(est.minutes)} min`;
+}
+
+
+// ----------------------------
+// Output: close-score grouping
+// ----------------------------
+function pickTopOptions(scoredList, maxOptions = 3) {
+  // scoredList: [{ nodeKey, score, ... }, ...] sorted desc by score
+  if (scoredList.length === 0) return [];
+  const best = scoredList[0].score;
+  const out = [];
+  for (const it of scoredList) {
+    if (out.length >= maxOptions) break;
+    if (it.score >= best * CLOSE_SCORE_SHARE) out.push(it); // 90% rule
+  }
+  return out;
+}
+
+function cutOptions(scoredList, kept, limit = 3) {
+  // The next best candidates pickTopOptions left out, each with the reason
+  if (kept.length === 0) return [];
+  const best = scoredList[0].score;
+  return scoredList
+    .filter(it => !kept.includes(it))
+    .slice(0, limit)
+    .map(it => ({
+      ...it,
+      reason: it.score < best * CLOSE_SCORE_SHARE
+        ? `${Math.floor((it.score / best) * 100)}% of the best score (needs ${CLOSE_SCORE_SHARE * 100}%)`
+        : `within ${CLOSE_SCORE_SHARE * 100}%, but only ${kept.length} options are listed`,
+    }));
+}
+
+// ----------------------------
+// Planner modes
+// ----------------------------
+export function planMaximizeEfficiency(selectedResources, runMode, edits = NO_EDITS) {
+  // For each resource: pick best node(s) from explicit list only
+  // Nodes taken out on the star chart are skipped; added ones only matter for routes
+  const excluded = new Set(edits.exclude);
+  const results = [];
+
+  for (const rName of selectedResources) {
+    const rKey = norm(rName);
+    const explicitMap = EXPLICIT.get(rKey);
+
+    if (!explicitMap || explicitMap.size === 0) {
+      results.push({
+        resource: rName,
+        options: [],
+        note: "No explicit data for this resource.",
+      });
+      continue;
+    }
+
+    // Score all candidates (filter endless if needed)
+    const scored = [];
+    for (const [nKey, s] of explicitMap.entries()) {
+      const meta = NODE_META.get(nKey);
+      if (!meta || excluded.has(nKey)) continue;
+      if (!nodeEligible(meta, runMode)) continue;
+
+      const { score, factors } = computeEffScore(rKey, nKey, "explicit", runMode);
+      scored.push({ nodeKey: nKey, meta, score, factors });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    const top = pickTopOptions(scored, 3);
+    const options = top.map(o => {
+      const estimate = estimateForTarget(rKey, o.nodeKey, "explicit", runMode);
+      return {
+        ...o,
+        estimate,
+        stay: runMode === "endless" ? recommendStay(o.meta, estimate?.needMinutes) : null,
+      };
+    });
+
+    if (options.length === 0) {
+      results.push({ resource: rName, options, note: explainUnreachable(rKey, runMode) });
+      continue;
+    }
+
+    results.push({ resource: rName, options, cut: cutOptions(scored, top) });
+  }
+
+  return results;
+}
+
+function scoreNodeCoverage(nKey, meta, rKeys, rDisplay, runMode) {
+  // Everything a node can give for the requested resources (explicit data first, then planet fallback)
+  // Scores carry the resource's priority, so one must-have can outweigh several low-priority commons
+  let total = 0;
+  const covered = [];
+
+  for (const rKey of rKeys) {
+    const explicit = getExplicitScore(rKey, nKey);
+    if (explicit) {
+      const { score, factors } = withPriority(rKey, computeEffScore(rKey, nKey, "explicit", runMode));
+      if (score > 0) {
+        total += score;
+        covered.push({
+          rKey,
+          resource: rDisplay.get(rKey) || rKey,
+          via: "explicit",
+          score,
+          factors,
+          estimate: estimateForTarget(rKey, nKey, "explicit", runMode),
+        });
+      }
+      continue;
+    }
+
+    // Planet fallback
+    if (planetHasResourceFallback(rKey, meta.planetKey)) {
+      const { score, factors } = withPriority(rKey, computeEffScore(rKey, nKey, "planet", runMode));
+      total += score;
+      covered.push({
+        rKey,
+        resource: rDisplay.get(rKey) || rKey,
+        via: "planet",
+        score,
+        factors,
+        estimate: estimateForTarget(rKey, nKey, "planet", runMode),
+      });
+    }
+  }
+
+  return { total, covered };
+}
+
+function greedyCover(rKeys, coverage, limit) {
+  // Classic greedy: repeatedly take the node with the highest score over what is still uncovered
+  const remaining = new Set(rKeys);
+  const nodes = [];
+
+  while (remaining.size > 0 && nodes.length < limit) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const [nKey, cov] of coverage) {
+      let total = 0;
+      for (const c of cov.covered) {
+        if (remaining.has(c.rKey)) total += c.score;
+      }
+      if (total > bestScore) {
+        best = nKey;
+        bestScore = total;
+      }
+    }
+
+    if (!best) break;
+    nodes.push(best);
+    for (const c of coverage.get(best).covered) remaining.delete(c.rKey);
+  }
+
+  return nodes;
+}
+
+function tieredCover(rKeys, coverage, limit, priority) {
+  // Stop limit version of the cover: must-haves first, then nice-to-haves, then low.
+  // Each tier gets the fewest extra stops that cover what is left of it; the first
+  // tier that no longer fits gets a greedy pick for the stops that remain.
+  const nodes = [];
+  for (const tier of PRIORITIES) {
+    const done = new Set(nodes.flatMap(nKey => coverage.get(nKey).covered.map(c => c.rKey)));
+    const open = rKeys.filter(rKey => priority(rKey) === tier.id && !done.has(rKey));
+    if (open.length === 0) continue;
+
+    const room = limit - nodes.length;
+    const rest = new Map([...coverage].filter(([nKey]) => !nodes.includes(nKey)));
+    const cover = solveMinCover(open, rest, greedyCover(open, rest, Infinity)).nodes;
+    if (cover.length <= room) {
+      nodes.push(...cover);
+      continue;
+    }
+    nodes.push(...greedyCover(open, rest, room));
+    break;
+  }
+  return nodes;
+}
+
+function routeScore(nodes, rKeys, coverage) {
+  // Each resource counts once, at the best node of the route
+  let total = 0;
+  for (const rKey of rKeys) {
+    let best = 0;
+    for (const nKey of nodes) {
+      const entry = coverage.get(nKey).byResource.get(rKey);
+      if (entry && entry.score > best) best = entry.score;
+    }
+    total += best;
+  }
+  return total;
+}
+
+function solveMinCover(rKeys, coverage, incumbent) {
+  // Branch-and-bound over candidate nodes.
+  // Phase 1 proves the minimum stop count, phase 2 breaks ties by total score.
+  // Both phases share SOLVER_NODE_LIMIT; hitting it marks the result as unproven.
+  const bit = new Map(rKeys.map((rKey, i) => [rKey, 1n << BigInt(i)]));
+  const nodeKeys = [...coverage.keys()];
+  const mask = new Map();
+  for (const nKey of nodeKeys) {
+    let m = 0n;
+    for (const c of coverage.get(nKey).covered) {
+      if (bit.has(c.rKey)) m |= bit.get(c.rKey);
+    }
+    mask.set(nKey, m);
+  }
+
+  // Nodes able to cover each resource, best score first
+  const coverers = new Map();
+  for (const rKey of rKeys) {
+    const list = nodeKeys.filter(nKey => coverage.get(nKey).byResource.has(rKey));
+    list.sort((a, b) =>
+      coverage.get(b).byResource.get(rKey).score - coverage.get(a).byResource.get(rKey).score ||
+      a.localeCompare(b));
+    coverers.set(rKey, list);
+  }
+
+  const full = rKeys.reduce((m, rKey) => m | bit.get(rKey), 0n);
+  let expansions = 0;
+  let aborted = false;
+
+  function popcount(m) {
+    let n = 0;
+    while (m) {
+      m &= m - 1n;
+      n += 1;
+    }
+    return n;
+  }
+
+  function lowerBound(uncovered) {
+    let most = 0;
+    for (const nKey of nodeKeys) {
+      const n = popcount(mask.get(nKey) & uncovered);
+      if (n > most) most = n;
+    }
+    return most === 0 ? Infinity : Math.ceil(popcount(uncovered) / most);
+  }
+
+  function rarest(uncovered) {
+    let pick = null;
+    let fewest = Infinity;
+    for (const rKey of rKeys) {
+      if (!(uncovered & bit.get(rKey))) continue;
+      const n = coverers.get(rKey).length;
+      if (n < fewest) {
+        pick = rKey;
+        fewest = n;
+      }
+    }
+    return pick;
+  }
+
+  function search(chosen, uncovered, bound, onSolution) {
+    if (aborted) return;
+    expansions += 1;
+    if (expansions > SOLVER_NODE_LIMIT) {
+      aborted = true;
+      return;
+    }
+
+    if (uncovered === 0n) {
+      onSolution(chosen);
+      return;
+    }
+    if (chosen.length + lowerBound(uncovered) > bound()) return;
+
+    for (const nKey of coverers.get(rarest(uncovered))) {
+      chosen.push(nKey);
+      search(chosen, uncovered & ~mask.get(nKey), bound, onSolution);
+      chosen.pop();
+      if (aborted) return;
+    }
+  }
+
+  // Phase 1: look for anything strictly smaller than the incumbent
+  let best = [...incumbent];
+  search([], full, () => best.length - 1, chosen => {
+    best = [...chosen];
+  });
+  const proven = !aborted;
+
+  // Phase 2: among covers of that size, keep the TOP_ROUTES best by stops, then total score.
+  // Node lists are sorted and exact ties go to the lower list, so the same input gives the same routes.
+  const ranked = [];
+  const seen = new Set();
+  const rank = (a, b) =>
+    a.nodes.length - b.nodes.length ||
+    (Math.abs(a.score - b.score) > 1e-9 ? b.score - a.score : 0) ||
+    (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+  const consider = chosen => {
+    const nodes = [...chosen].sort();
+    const key = nodes.join("|");
+    if (seen.has(key)) return; // the search reaches a cover once per order its nodes can be picked in
+    seen.add(key);
+    ranked.push({ nodes, key, score: routeScore(nodes, rKeys, coverage) });
+    ranked.sort(rank);
+    ranked.length = Math.min(ranked.length, TOP_ROUTES);
+  };
+
+  consider(best);
+  const size = best.length;
+  search([], full, () => size, consider);
+
+  return { nodes: ranked[0].nodes, routes: ranked.map(r => r.nodes), proven };
+}
+
+function buildRoute(nodes, rKeys, coverage, runMode, forced = []) {
+  // Assign every resource to its best node in the route, then list close alternatives per stop
+  // Forced nodes stay in the route even when they end up covering nothing, and get no alternatives
+  const assigned = new Map(nodes.map(nKey => [nKey, []]));
+  for (const rKey of rKeys) {
+    let bestNode = null;
+    let bestEntry = null;
+    for (const nKey of nodes) {
+      const entry = coverage.get(nKey).byResource.get(rKey);
+      if (entry && (!bestEntry || entry.score > bestEntry.score)) {
+        bestNode = nKey;
+        bestEntry = entry;
+      }
+    }
+    if (bestNode) assigned.get(bestNode).push(bestEntry);
+  }
+
+  const inRoute = new Set(nodes);
+  const sumScores = list => list.reduce((sum, c) => sum + c.score, 0);
+
+  const stops = nodes
+    .filter(nKey => assigned.get(nKey).length > 0 || forced.includes(nKey))
+    .map(nKey => ({ nKey, covered: assigned.get(nKey), score: sumScores(assigned.get(nKey)) }))
+    .sort((a, b) => b.covered.length - a.covered.length || b.score - a.score || a.nKey.localeCompare(b.nKey));
+
+  return stops.map(stop => {
+    const needed = stop.covered.map(c => c.rKey);
+
+    const alts = [];
+    for (const [nKey, cov] of coverage) {
+      if (inRoute.has(nKey) || forced.includes(stop.nKey)) continue;
+      const covered = needed.map(rKey => cov.byResource.get(rKey));
+      if (covered.some(c => !c)) continue;
+      alts.push({ nodeKey: nKey, score: sumScores(covered), meta: cov.meta, covered });
+    }
+    alts.sort((a, b) => b.score - a.score || a.nodeKey.localeCompare(b.nodeKey));
+
+    // Alternatives that beat the chosen stop are listed right after it, marked better;
+    // the rest follow the usual close-score rule
+    const chosen = { nodeKey: stop.nKey, score: stop.score, meta: coverage.get(stop.nKey).meta, covered: stop.covered };
+    const better = alts.filter(a => a.score > chosen.score + 1e-9).slice(0, 3).map(a => ({ ...a, better: true }));
+    const candidates = [chosen, ...alts.filter(a => a.score <= chosen.score + 1e-9)];
+    const top = pickTopOptions(candidates, 3);
+    const options = [top[0], ...better, ...top.slice(1)];
+
+    return {
+      forced: forced.includes(stop.nKey),
+      cut: cutOptions(candidates, top),
+      options: options.map(opt => {
+        const estimate = combineEstimates(opt.covered.map(c => c.estimate));
+        return {
+          ...opt,
+          estimate,
+          stay: runMode === "endless" ? recommendStay(opt.meta, estimate?.needMinutes) : null,
+        };
+      }),
+    };
+  });
+}
+
+function mapEdits(edits) {
+  // Star chart picks: forced nodes (must be stops, even locked ones) and excluded nodes (never stops)
+  const excluded = new Set(edits.exclude);
+  const forced = edits.include.filter(nKey => NODE_META.has(nKey) && !excluded.has(nKey));
+  return { forced, excluded };
+}
+
+function buildCoverage(selectedResources, runMode, edits = NO_EDITS) {
+  const rKeys = selectedResources.map(norm);
+  const { forced, excluded } = mapEdits(edits);
+  const rDisplay = new Map(selectedResources.map(r => [norm(r), r]));
+
+  // Candidate nodes: union of nodes explicit for any selected resource
+  const candidateNodes = new Set();
+  for (const rKey of rKeys) {
+    const map = EXPLICIT.get(rKey);
+    if (!map) continue;
+    for (const nKey of map.keys()) candidateNodes.add(nKey);
+  }
+
+  const candidates = [...candidateNodes].filter(nKey => {
+    const meta = NODE_META.get(nKey);
+    if (!meta || excluded.has(nKey)) return false;
+    return nodeEligible(meta, runMode);
+  });
+
+  // Coverage table: nodeKey -> { meta, total, covered, byResource }
+  // Forced nodes always get an entry, even when they cover nothing selected
+  const coverage = new Map();
+  for (const nKey of new Set([...forced, ...candidates])) {
+    const meta = NODE_META.get(nKey);
+    const cov = scoreNodeCoverage(nKey, meta, rKeys, rDisplay, runMode);
+    if (cov.covered.length === 0 && !forced.includes(nKey)) continue;
+    coverage.set(nKey, { ...cov, meta, byResource: new Map(cov.covered.map(c => [c.rKey, c])) });
+  }
+
+  const coverable = rKeys.filter(rKey => [...coverage.values()].some(cov => cov.byResource.has(rKey)));
+  return {
+    rKeys,
+    rDisplay,
+    coverage,
+    coverable,
+    forced,
+    excluded,
+    explain: rKey => explainUnreachable(rKey, runMode),
+    priority: rKey => priorityOf(rKey).id,
+  };
+}
+
+function describeMissing(route, { rKeys, rDisplay, coverable, explain, priority }, maxStops) {
+  const covered = new Set(route.flatMap(step => step.options[0].covered.map(c => c.rKey)));
+  const missing = rKeys.filter(rKey => !covered.has(rKey)).map(rKey => rDisplay.get(rKey) || rKey);
+  const missingTiers = missingByPriority(rKeys.filter(rKey => !covered.has(rKey)), rDisplay, priority);
+
+  // Why each missing resource is missing: unreachable with current progress/run style, or cut by the stop limit
+  const missingReasons = new Map();
+  for (const rKey of rKeys) {
+    if (covered.has(rKey)) continue;
+    missingReasons.set(rDisplay.get(rKey) || rKey, coverable.includes(rKey)
+      ? `Needs more than ${maxStops} stops.`
+      : explain(rKey));
+  }
+  return { missing, missingReasons, missingTiers };
+}
+
+function missingByPriority(rKeys, rDisplay, priority) {
+  // [{ priority, label, resources }] in PRIORITIES order, empty tiers left out
+  return PRIORITIES
+    .map(p => ({
+      priority: p.id,
+      label: p.label,
+      resources: rKeys.filter(rKey => priority(rKey) === p.id).map(rKey => rDisplay.get(rKey) || rKey),
+    }))
+    .filter(tier => tier.resources.length > 0);
+}
+
+export function planMinimizeStops(selectedResources, runMode, maxStops = DEFAULT_MAX_STOPS, edits = NO_EDITS) {
+  return solveStops(buildCoverage(selectedResources, runMode, edits), runMode, maxStops);
+}
+
+function forcedStart(table) {
+  // Forced nodes come first; the solvers only cover what they leave open, with the other nodes
+  const { coverage, coverable, forced } = table;
+  const done = new Set(forced.flatMap(nKey => coverage.get(nKey).covered.map(c => c.rKey)));
+  const open = coverable.filter(rKey => !done.has(rKey));
+  const free = new Map([...coverage].filter(([nKey]) => !forced.includes(nKey)));
+  return { open, free };
+}
+
+function solveStops(table, runMode, maxStops) {
+  // table: buildCoverage() or buildSquadCoverage(); "resources" may be player needs
+  const { coverage, coverable, forced } = table;
+  const { open, free } = forcedStart(table);
+  const exact = solveMinCover(open, free, greedyCover(open, free, Infinity));
+
+  // Up to TOP_ROUTES complete routes with the fewest stops, best total score first
+  let nodeLists = exact.routes.map(nodes => [...forced, ...nodes]);
+  let optimal = exact.proven;
+  let reason = exact.proven ? "" : "searchLimit";
+
+  if (nodeLists[0].length > maxStops) {
+    // Full coverage needs more stops than allowed: one route, covered by priority tier within the limit
+    nodeLists = [[...forced, ...tieredCover(open, free, Math.max(0, maxStops - forced.length), table.priority)]];
+    optimal = false;
+    reason = "stopLimit";
+  }
+
+  // Every route keeps its per-stop alternatives and cut reasons; an alternative swaps one
+  // stop of that route, while the route list compares whole routes
+  const routes = nodeLists.map(nodes => {
+    const route = orderRouteByTravel(buildRoute(nodes, coverable, coverage, runMode, forced));
+    return {
+      route,
+      score: routeScore(nodes, coverable, coverage),
+      covered: route.reduce((sum, step) => sum + step.options[0].covered.length, 0),
+    };
+  });
+  const route = routes[0].route;
+  const { missing, missingReasons, missingTiers } = describeMissing(route, table, maxStops);
+
+  return {
+    route,
+    routes,
+    picked: 0,
+    missing,
+    missingReasons,
+    missingTiers,
+    optimal,
+    reason,
+    minStops: forced.length + exact.nodes.length,
+    minProven: exact.proven, // false: minStops is only the best cover found before SOLVER_NODE_LIMIT
+    maxStops,
+    forced,
+    excluded: [...table.excluded],
+  };
+}
+
+// Switch a Min Stops plan to another of its routes (all have the same stops count and coverage)
+export function pickRoute(plan, index) {
+  return { ...plan, picked: index, route: plan.routes[index].route };
+}
+
+// Squad: every player brings their own selection and, optionally, their own
+// star chart progress and inventory. Each (player, resource) pair is one thing
+// to cover, so the Min Stops solver above naturally prefers nodes that serve
+// several players at once. Covered entries carry the player's name.
+function withPlayer(player, fn) {
+  // Run fn with the player's progress/inventory swapped into SETTINGS
+  const saved = { ...SETTINGS };
+  for (const field of ["targets", "owned", "lockedPlanets", "lockedNodes"]) {
+    if (player[field]) SETTINGS[field] = player[field];
+  }
+  try {
+    return fn();
+  } finally {
+    Object.assign(SETTINGS, saved);
+  }
+}
+
+function buildSquadCoverage(players, runMode, edits) {
+  const { forced, excluded } = mapEdits(edits);
+  const rKeys = [];
+  const rDisplay = new Map();
+  const owner = new Map(); // need key -> { player, rKey }
+  const coverage = new Map();
+
+  players.forEach((player, i) => withPlayer(player, () => {
+    const wanted = player.resources.filter(r => !isTargetMet(norm(r)));
+    const playerDisplay = new Map(wanted.map(r => [norm(r), r]));
+    for (const r of wanted) {
+      const needKey = `${i}:${norm(r)}`;
+      rKeys.push(needKey);
+      rDisplay.set(needKey, `${r} (${player.name})`);
+      owner.set(needKey, { player, rKey: norm(r) });
+    }
+
+    const candidates = new Set([...forced, ...wanted.flatMap(r => [...(EXPLICIT.get(norm(r))?.keys() || [])])]);
+    for (const nKey of candidates) {
+      const meta = NODE_META.get(nKey);
+      if (!meta || excluded.has(nKey)) continue;
+      if (!nodeEligible(meta, runMode) && !forced.includes(nKey)) continue;
+      const cov = scoreNodeCoverage(nKey, meta, [...playerDisplay.keys()], playerDisplay, runMode);
+      if (cov.covered.length === 0) continue;
+
+      if (!coverage.has(nKey)) coverage.set(nKey, { meta, total: 0, covered: [], byResource: new Map() });
+      const entry = coverage.get(nKey);
+      for (const c of cov.covered) {
+        const covered = { ...c, rKey: `${i}:${c.rKey}`, resourceKey: c.rKey, player: player.name };
+        entry.covered.push(covered);
+        entry.byResource.set(covered.rKey, covered);
+        entry.total += c.score;
+      }
+    }
+  }));
+
+  for (const nKey of forced) {
+    if (!coverage.has(nKey)) coverage.set(nKey, { meta: NODE_META.get(nKey), total: 0, covered: [], byResource: new Map() });
+  }
+
+  const coverable = rKeys.filter(needKey => [...coverage.values()].some(cov => cov.byResource.has(needKey)));
+  const explain = needKey => {
+    const { player, rKey } = owner.get(needKey);
+    return withPlayer(player, () => explainUnreachable(rKey, runMode));
+  };
+  const priority = needKey => priorityOf(owner.get(needKey).rKey).id;
+  return { rKeys, rDisplay, coverage, coverable, forced, excluded, explain, priority };
+}
+
+export function planSquad(players, runMode, maxStops = DEFAULT_MAX_STOPS, edits = NO_EDITS) {
+  // players: [{ name, resources, targets?, owned?, lockedPlanets?, lockedNodes? }]
+  const plan = solveStops(buildSquadCoverage(players, runMode, edits), runMode, maxStops);
+  return { ...plan, players: players.map(p => p.name) };
+}
+
+// Balanced: the trade-off between the two goals above. Starting from the Min
+// Stops cover, one stop is added at a time (the node that raises the route
+// score most, then one swap pass), until every resource sits on its best node
+// or the stop limit is hit. Efficiency is the route score as a share of the
+// ideal, where each resource counts at its best eligible node. Only points that
+// improve on fewer stops make the frontier; the balance picks one of them.
+function improveBySwaps(nodes, rKeys, coverage, fixed = 0) {
+  // The first `fixed` nodes are forced on the star chart and never swapped out
+  const coveredCount = list => rKeys.filter(rKey => list.some(nKey => coverage.get(nKey).byResource.has(rKey))).length;
+  const need = coveredCount(nodes);
+  let best = [...nodes];
+  let bestScore = routeScore(best, rKeys, coverage);
+
+  for (let i = fixed; i < best.length; i++) {
+    for (const nKey of [...coverage.keys()].sort()) {
+      if (best.includes(nKey)) continue;
+      const next = best.map((k, idx) => (idx === i ? nKey : k));
+      const score = routeScore(next, rKeys, coverage);
+      if (score > bestScore + 1e-9 && coveredCount(next) === need) {
+        best = next;
+        bestScore = score;
+      }
+    }
+  }
+  return best;
+}
+
+function growRoute(nodes, rKeys, coverage, fixed) {
+  // The node that adds the most score, ties to the lower node key
+  let bestNode = null;
+  let bestScore = -Infinity;
+  for (const nKey of [...coverage.keys()].sort()) {
+    if (nodes.includes(nKey)) continue;
+    const score = routeScore([...nodes, nKey], rKeys, coverage);
+    if (score > bestScore + 1e-9) {
+      bestNode = nKey;
+      bestScore = score;
+    }
+  }
+  return bestNode ? improveBySwaps([...nodes, bestNode], rKeys, coverage, fixed) : null;
+}
+
+function pickBalanced(frontier, balance) {
+  // Weighted sum of efficiency and "few stops", both scaled 0..1 across the frontier; ties go to fewer stops
+  const w = Math.min(100, Math.max(0, balance)) / 100;
+  const first = frontier[0];
+  const last = frontier[frontier.length - 1];
+  const stopSpread = last.stops - first.stops || 1;
+  const effSpread = last.efficiency - first.efficiency || 1;
+  let picked = 0;
+  let bestValue = -Infinity;
+  frontier.forEach((point, i) => {
+    const gain = (point.efficiency - first.efficiency) / effSpread;
+    const value = w * gain + (1 - w) * (1 - (point.stops - first.stops) / stopSpread);
+    if (value > bestValue + 1e-9) {
+      picked = i;
+      bestValue = value;
+    }
+  });
+  return picked;
+}
+
+export function planBalanced(selectedResources, runMode, maxStops = DEFAULT_MAX_STOPS, balance = DEFAULT_BALANCE, edits = NO_EDITS) {
+  const table = buildCoverage(selectedResources, runMode, edits);
+  const { coverage, coverable, forced } = table;
+  const { open, free } = forcedStart(table);
+  const exact = solveMinCover(open, free, greedyCover(open, free, Infinity));
+  const capped = forced.length + exact.nodes.length > maxStops;
+
+  let ideal = 0;
+  for (const rKey of coverable) {
+    ideal += Math.max(...[...coverage.values()].map(cov => cov.byResource.get(rKey)?.score || 0));
+  }
+  const efficiencyOf = nodes => (ideal > 0 ? routeScore(nodes, coverable, coverage) / ideal : 0);
+
+  const frontier = [];
+  // Capped start covers by priority tier, like Min Stops, so must-haves come first
+  const start = capped ? tieredCover(open, free, Math.max(0, maxStops - forced.length), table.priority) : exact.nodes;
+  let nodes = [...forced, ...start];
+  while (nodes) {
+    const efficiency = efficiencyOf(nodes);
+    const last = frontier[frontier.length - 1];
+    if (!last || efficiency > last.efficiency + 1e-9) frontier.push({ stops: nodes.length, efficiency, nodes });
+    if (nodes.length >= maxStops || efficiency >= 1 - 1e-9) break;
+    nodes = growRoute(nodes, coverable, coverage, forced.length);
+  }
+
+  for (const point of frontier) {
+    point.route = orderRouteByTravel(buildRoute(point.nodes, coverable, coverage, runMode, forced));
+    delete point.nodes;
+  }
+
+  const picked = frontier.length ? pickBalanced(frontier, balance) : -1;
+  const route = picked >= 0 ? frontier[picked].route : [];
+  const { missing, missingReasons, missingTiers } = describeMissing(route, table, maxStops);
+
+  return {
+    route,
+    missing,
+    missingReasons,
+    missingTiers,
+    optimal: picked === 0 && exact.proven && !capped,
+    provenMin: exact.proven && !capped,
+    reason: capped ? "stopLimit" : "",
+    minStops: forced.length + exact.nodes.length,
+    minProven: exact.proven,
+    maxStops,
+    forced,
+    excluded: [...table.excluded],
+    balance,
+    frontier,
+    picked,
+  };
+}
+
+export function formatEfficiency(efficiency) {
+  return `${Math.round(efficiency * 100)}%`;
+}
+
+// Switch a Balanced plan to another frontier point (same resources, so missing stays the same)
+export function pickFrontierPoint(plan, index) {
+  return { ...plan, picked: index, route: plan.frontier[index].route, optimal: index === 0 && plan.provenMin };
+}
+
+// Time budget: a knapsack over node time. Every resource is worth its
+// priority weight times the share of its target collected (capped at 100%).
+// Without a target, one default stay at its best node counts as the target.
+// Quick nodes grow by whole runs (run length from speedScore), endless nodes
+// by rotations, and each new stop pays STOP_OVERHEAD_MINUTES. The greedy step
+// takes the best value per minute; new stops look ahead several steps so the
+// overhead does not hide them. Ties go to the lower node key.
+function budgetStep(meta) {
+  return (meta.isEndless && rotationMinutes(meta.missionType || "")) || runMinutes(meta);
+}
+
+function budgetAmount(y, meta, minutes) {
+  // What `minutes` at a node yields of one resource (endless stays follow the rotation model)
+  const rate = meta.isEndless ? endlessRateFactor(meta.missionType || "", minutes) : 1;
+  return y.perMinute * minutes * rate;
+}
+
+function budgetCandidates(rKeys, runMode, forced, excluded) {
+  const out = [];
+  for (const [nKey, meta] of [...NODE_META].sort(([a], [b]) => a.localeCompare(b))) {
+    if (excluded.has(nKey)) continue;
+    if (!nodeEligible(meta, runMode) && !forced.includes(nKey)) continue;
+
+    const yields = [];
+    for (const rKey of rKeys) {
+      const via = getExplicitScore(rKey, nKey) ? "explicit" : planetHasResourceFallback(rKey, meta.planetKey) ? "planet" : null;
+      if (!via) continue;
+      const perMinute = (estimateYieldPerRun(rKey, nKey, via) * modifierMultiplier(meta)) / runMinutes(meta);
+      if (perMinute > 0) yields.push({ rKey, via, perMinute });
+    }
+    if (yields.length || forced.includes(nKey)) out.push({ nKey, meta, step: budgetStep(meta), yields });
+  }
+  return out;
+}
+
+export function planTimeBudget(selectedResources, runMode, budget = DEFAULT_BUDGET_MINUTES, edits = NO_EDITS) {
+  budget = Math.min(budget, MAX_BUDGET_MINUTES);
+  const rKeys = selectedResources.map(norm);
+  const rDisplay = new Map(selectedResources.map(r => [norm(r), r]));
+  const { forced, excluded } = mapEdits(edits);
+  const candidates = budgetCandidates(rKeys, runMode, forced, excluded);
+  const byKey = new Map(candidates.map(c => [c.nKey, c]));
+
+  // Amount that counts as "done" per resource
+  const need = new Map();
+  for (const rKey of rKeys) {
+    const best = Math.max(0, ...candidates.flatMap(c => c.yields.filter(y => y.rKey === rKey).map(y => y.perMinute)));
+    need.set(rKey, neededAmount(rKey) || best * DEFAULT_STAY_MINUTES);
+  }
+
+  // Running totals: a trial only recomputes the resources of the node it grows
+  const weight = new Map(rKeys.map(rKey => [rKey, priorityOf(rKey).weight]));
+  const collected = new Map(rKeys.map(rKey => [rKey, 0]));
+  const credit = (rKey, amount) => {
+    const n = need.get(rKey);
+    return n > 0 ? weight.get(rKey) * Math.min(1, amount / n) : 0;
+  };
+  const gainOf = (c, from, to) => c.yields.reduce((sum, y) => {
+    const have = collected.get(y.rKey);
+    const more = budgetAmount(y, c.meta, to) - budgetAmount(y, c.meta, from);
+    return sum + credit(y.rKey, have + more) - credit(y.rKey, have);
+  }, 0);
+  const grow = (c, from, to) => {
+    for (const y of c.yields) {
+      collected.set(y.rKey, collected.get(y.rKey) + budgetAmount(y, c.meta, to) - budgetAmount(y, c.meta, from));
+    }
+  };
+
+  const time = new Map(); // nodeKey -> minutes, in the order stops were added
+  let used = 0;
+  let value = 0;
+
+  // Forced nodes get their overhead and one step first, as long as they fit
+  for (const nKey of forced) {
+    const c = byKey.get(nKey);
+    if (!c || used + STOP_OVERHEAD_MINUTES + c.step > budget) continue;
+    value += gainOf(c, 0, c.step);
+    grow(c, 0, c.step);
+    time.set(nKey, c.step);
+    used += STOP_OVERHEAD_MINUTES + c.step;
+  }
+
+  for (;;) {
+    let best = null;
+    for (const c of candidates) {
+      const current = time.get(c.nKey) || 0;
+      const overhead = current ? 0 : STOP_OVERHEAD_MINUTES;
+      for (let k = 1; used + overhead + k * c.step <= budget; k++) {
+        const gain = gainOf(c, current, current + k * c.step);
+        const ratio = gain / (overhead + k * c.step);
+        if (gain > 1e-9 && (!best || ratio > best.ratio + 1e-12)) {
+          best = { c, minutes: current + k * c.step, cost: overhead + k * c.step, ratio, gain };
+        }
+        if (current) break; // existing stops grow one step at a time
+      }
+    }
+    if (!best) break;
+    grow(best.c, time.get(best.c.nKey) || 0, best.minutes);
+    time.set(best.c.nKey, best.minutes);
+    used += best.cost;
+    value += best.gain;
+  }
+
+  const steps = [...time].map(([nKey, minutes]) => {
+    const c = byKey.get(nKey);
+    const covered = c.yields
+      .map(y => {
+        const amount = budgetAmount(y, c.meta, minutes);
+        const total = collected.get(y.rKey);
+        const n = need.get(y.rKey);
+        const share = total > 0 && n > 0 ? (Math.min(1, total / n) * amount) / total : 0;
+        const weight = priorityOf(y.rKey).weight;
+        return {
+          rKey: y.rKey,
+          resource: rDisplay.get(y.rKey) || y.rKey,
+          via: y.via,
+          amount,
+          score: weight * share,
+          factors: [
+            { label: `Priority (${priorityOf(y.rKey).label})`, value: weight },
+            { label: "Share of target from this stop", value: share },
+          ],
+        };
+      })
+      .filter(cov => cov.amount >= 0.5);
+
+    // Endless stops are one stay of `count` rotations; quick stops are `count` runs
+    const count = Math.round(minutes / c.step);
+    const rot = c.meta.isEndless ? rotationMinutes(c.meta.missionType || "") : null;
+    const option = {
+      nodeKey: nKey,
+      meta: c.meta,
+      score: covered.reduce((sum, cov) => sum + cov.score, 0),
+      valueScore: true, // priority-weighted target share; modifiers are already in the amounts
+      covered,
+      estimate: { runs: c.meta.isEndless ? 1 : count, minutes, runLength: c.step, needMinutes: minutes },
+      stay: c.meta.isEndless
+        ? { minutes, rotations: rot ? count : null, endsOn: rot ? ROTATION_CYCLE[(count - 1) % ROTATION_CYCLE.length] : null }
+        : null,
+    };
+    return { forced: forced.includes(nKey), cut: [], options: [option] };
+  });
+
+  const route = orderRouteByTravel(steps);
+  const resources = rKeys.map(rKey => ({
+    resource: rDisplay.get(rKey) || rKey,
+    priority: priorityOf(rKey).id,
+    collected: collected.get(rKey),
+    need: need.get(rKey),
+    share: need.get(rKey) > 0 ? Math.min(1, collected.get(rKey) / need.get(rKey)) : 0,
+  }));
+
+  // "Did not fit" only when some candidate drops the resource; otherwise say why none can
+  const reachable = new Set(candidates.flatMap(c => c.yields.map(y => y.rKey)));
+  const missingReasons = new Map();
+  for (const r of resources) {
+    if (r.collected > 0) continue;
+    const rKey = norm(r.resource);
+    missingReasons.set(r.resource, reachable.has(rKey) ? "Did not fit in the time budget." : explainUnreachable(rKey, runMode));
+  }
+
+  const unreached = rKeys.filter(rKey => !(collected.get(rKey) > 0));
+
+  return {
+    route,
+    missing: [...missingReasons.keys()],
+    missingReasons,
+    missingTiers: missingByPriority(unreached, rDisplay, rKey => priorityOf(rKey).id),
+    optimal: false,
+    reason: "",
+    budget,
+    used,
+    overhead: STOP_OVERHEAD_MINUTES,
+    value,
+    maxValue: rKeys.reduce((sum, rKey) => sum + (need.get(rKey) > 0 ? priorityOf(rKey).weight : 0), 0),
+    resources,
+    forced,
+    excluded: [...excluded],
+  };
+}
+
+
+// ----------------------------
+// Route travel order
+// ----------------------------
+// Stops on the same planet are kept together and planets are visited along the
+// shortest junction path (PlanetLinks.csv). Only the order of stops changes.
+function planetHops(fromKey) {
+  // BFS over junction links: planetKey -> number of jumps
+  const dist = new Map([[fromKey, 0]]);
+  const queue = [fromKey];
+  while (queue.length) {
+    const cur = queue.shift();
+    for (const next of PLANET_LINKS.get(cur) || []) {
+      if (dist.has(next)) continue;
+      dist.set(next, dist.get(cur) + 1);
+      queue.push(next);
+    }
+  }
+  return dist;
+}
+
+function shortestPlanetOrder(planets, hops) {
+  // Open path (any start). Ties keep the solver's planet order.
+  const n = planets.length;
+  if (n <= 2) return planets;
+
+  if (n > TRAVEL_EXACT_LIMIT) {
+    const left = planets.slice(1);
+    const order = [planets[0]];
+    while (left.length) {
+      const cur = order[order.length - 1];
+      let best = 0;
+      for (let i = 1; i < left.length; i++) {
+        if (hops(cur, left[i]) < hops(cur, left[best])) best = i;
+      }
+      order.push(left.splice(best, 1)[0]);
+    }
+    return order;
+  }
+
+  // Held-Karp over subsets: cost[mask][last]
+  const full = (1 << n) - 1;
+  const cost = Array.from({ length: full + 1 }, () => new Array(n).fill(Infinity));
+  const prev = Array.from({ length: full + 1 }, () => new Array(n).fill(-1));
+  for (let i = 0; i < n; i++) cost[1 << i][i] = 0;
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let last = 0; last < n; last++) {
+      const base = cost[mask][last];
+      if (!(mask & (1 << last)) || base === Infinity) continue;
+      for (let next = 0; next < n; next++) {
+        if (mask & (1 << next)) continue;
+        const m = mask | (1 << next);
+        const c = base + hops(planets[last], planets[next]);
+        if (c < cost[m][next]) {
+          cost[m][next] = c;
+          prev[m][next] = last;
+        }
+      }
+    }
+  }
+
+  let last = 0;
+  for (let i = 1; i < n; i++) if (cost[full][i] < cost[full][last]) last = i;
+
+  const order = [];
+  for (let mask = full; last !== -1;) {
+    order.push(planets[last]);
+    const p = prev[mask][last];
+    mask &= ~(1 << last);
+    last = p;
+  }
+  return order.reverse();
+}
+
+function orderRouteByTravel(route) {
+  const groups = new Map(); // planetKey -> steps, in solver order
+  for (const step of route) {
+    const pKey = step.options[0].meta.planetKey || "";
+    if (!groups.has(pKey)) groups.set(pKey, []);
+    groups.get(pKey).push(step);
+  }
+
+  const dists = new Map([...groups.keys()].map(pKey => [pKey, planetHops(pKey)]));
+  const hops = (a, b) => dists.get(a).get(b) ?? UNLINKED_HOPS;
+  const order = shortestPlanetOrder([...groups.keys()], hops);
+
+  const ordered = [];
+  let prevKey = null;
+  for (const pKey of order) {
+    for (const step of groups.get(pKey)) {
+      ordered.push({
+        ...step,
+        travel: {
+          planet: step.options[0].meta.planet,
+          first: prevKey === null,
+          samePlanet: prevKey === pKey,
+          hops: prevKey === null ? null : (dists.get(prevKey).get(pKey) ?? null),
+        },
+      });
+      prevKey = pKey;
+    }
+  }
+  return ordered;
+}
+
+export function formatTravel(travel) {
+  if (!travel) return "";
+  if (travel.first) return `Start on ${travel.planet}`;
+  if (travel.samePlanet) return `${travel.planet} • same planet as previous stop`;
+  if (travel.hops === null) return `${travel.planet} • no junction path from previous stop`;
+  const jumps = travel.hops === 1 ? "1 jump" : `${travel.hops} jumps`;
+  return `${travel.planet} • ${jumps} from previous stop`;
+}
+
+
+// ----------------------------
+// Node lookup
+// ----------------------------
+export function findNodes(query) {
+  // Node keys whose name contains the query: exact match first, then prefix, then the rest by name
+  const q = norm(query);
+  if (!q) return [];
+  const rank = nKey => (nKey === q ? 0 : nKey.startsWith(q) ? 1 : 2);
+  return [...NODE_META.keys()]
+    .filter(nKey => nKey.includes(q))
+    .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+export function nodeDrops(nKey) {
+  // [{ resource, rKey, via, dropScore }] for a node: explicit rows by dropScore, then planet fallback by name.
+  // Only resources from the master file, since those are the ones that can be selected.
+  const meta = NODE_META.get(nKey);
+  if (!meta) return [];
+  const names = new Map(RESOURCES.map(r => [norm(r), r]));
+  const explicit = NODE_DROPS.get(nKey) || new Map();
+
+  const drops = [...explicit]
+    .filter(([rKey]) => names.has(rKey))
+    .map(([rKey, row]) => ({ resource: names.get(rKey), rKey, via: "explicit", dropScore: row.dropScore }))
+    .sort((a, b) => b.dropScore - a.dropScore || a.resource.localeCompare(b.resource));
+
+  const fallback = [...(PLANET_RESOURCES.get(meta.planetKey) || [])]
+    .filter(rKey => names.has(rKey) && !explicit.has(rKey))
+    .map(rKey => ({ resource: names.get(rKey), rKey, via: "planet", dropScore: null }))
+    .sort((a, b) => a.resource.localeCompare(b.resource));
+
+  return [...drops, ...fallback];
+}
+
+
+// ----------------------------
+// Star chart map
+// ----------------------------
+// The CSVs have no coordinates, so the map is schematic: planets sit on a ring
+// in planet file order (the in-game star chart order) and each planet's nodes
+// circle around it. Junction links are drawn between planets.
+export function starChartLayout(size = 800) {
+  const center = size / 2;
+  const ring = size * 0.4;
+  const orbit = Math.min(size * 0.055, (Math.PI * ring) / Math.max(PLANETS.length, 1) * 0.7);
+
+  const planets = PLANETS.map((p, i) => {
+    const angle = (2 * Math.PI * i) / PLANETS.length - Math.PI / 2;
+    return { ...p, x: center + ring * Math.cos(angle), y: center + ring * Math.sin(angle) };
+  });
+  const byKey = new Map(planets.map(p => [p.key, p]));
+
+  const nodes = [];
+  for (const planet of planets) {
+    const onPlanet = [...NODE_META.entries()]
+      .filter(([, meta]) => meta.planetKey === planet.key)
+      .sort(([a], [b]) => a.localeCompare(b));
+    onPlanet.forEach(([nKey, meta], i) => {
+      const angle = (2 * Math.PI * i) / onPlanet.length - Math.PI / 2;
+      nodes.push({ nKey, meta, x: planet.x + orbit * Math.cos(angle), y: planet.y + orbit * Math.sin(angle) });
+    });
+  }
+
+  const links = [];
+  for (const [a, set] of PLANET_LINKS) {
+    for (const b of set) {
+      if (a < b && byKey.has(a) && byKey.has(b)) links.push([byKey.get(a), byKey.get(b)]);
+    }
+  }
+
+  return { size, planets, nodes, links };
+}
+
+export function mapCoverage(selectedResources) {
+  // nodeKey -> { explicit, fallback }: display names of the selected resources each node covers
+  const out = new Map();
+  for (const [nKey, meta] of NODE_META) {
+    const explicit = [];
+    const fallback = [];
+    for (const r of selectedResources) {
+      if (getExplicitScore(norm(r), nKey)) explicit.push(r);
+      else if (planetHasResourceFallback(norm(r), meta.planetKey)) fallback.push(r);
+    }
+    out.set(nKey, { explicit, fallback });
+  }
+  return out;
+}
+
+
+// ----------------------------
+// Export: Markdown / JSON / CSV
+// ----------------------------
+// Built from createPlan results, not from the rendered HTML, so the web UI and
+// the CLI produce the same text.
+export const EXPORT_FORMATS = {
+  markdown: { ext: "md", type: "text/markdown", build: planToMarkdown },
+  json: { ext: "json", type: "application/json", build: planToJson },
+  csv: { ext: "csv", type: "text/csv", build: planToCsv },
+};
+
+function exportOption(o) {
+  const m = o.meta || {};
+  return {
+    node: m.node,
+    planet: m.planet,
+    missionType: m.missionType,
+    endless: Boolean(m.isEndless),
+    score: Number(o.score.toFixed(2)),
+    better: Boolean(o.better),
+    baseScore: o.valueScore ? null : Number((o.score / modifierMultiplier(o.meta)).toFixed(2)),
+    covered: (o.covered || []).map(c => ({
+      resource: c.resource,
+      player: c.player,
+      via: c.via,
+      score: Number(c.score.toFixed(2)),
+      factors: exportFactors(c.factors),
+    })),
+    runs: o.estimate ? o.estimate.runs : null,
+    minutes: o.estimate && o.estimate.minutes !== null ? Math.round(o.estimate.minutes) : null,
+    stayMinutes: o.stay ? Math.round(o.stay.minutes) : null,
+    stayRotations: o.stay ? o.stay.rotations : null,
+  };
+}
+
+function exportFactors(factors) {
+  return factors.map(f => ({ label: f.label, value: Number(f.value.toFixed(3)) }));
+}
+
+function planToJson(last) {
+  const base = { goal: last.goal, runMode: last.runMode, createdAt: last.createdAt };
+
+  if (last.goal === "efficiency") {
+    return JSON.stringify({
+      ...base,
+      resources: last.results.map(r => ({
+        resource: r.resource,
+        need: neededAmount(norm(r.resource)) || null,
+        options: r.options.map(o => exportOption({ ...o, covered: [{ resource: r.resource, via: "explicit", score: o.score, factors: o.factors }] })),
+        note: r.note || null,
+      })),
+    }, null, 2);
+  }
+
+  const balanced = last.goal === "balanced"
+    ? {
+      balance: last.plan.balance,
+      frontier: last.plan.frontier.map(point => ({ stops: point.stops, efficiency: Number(point.efficiency.toFixed(3)) })),
+      picked: last.plan.picked,
+    }
+    : {};
+
+  const squad = last.goal === "squad" ? { players: last.plan.players } : {};
+
+  const routes = last.plan.routes
+    ? {
+      routes: last.plan.routes.map(r => ({
+        score: Number(r.score.toFixed(2)),
+        covered: r.covered,
+        stops: r.route.map(step => step.options[0].meta.node),
+      })),
+      picked: last.plan.picked,
+    }
+    : {};
+
+  const budget = last.goal === "budget"
+    ? {
+      budget: last.plan.budget,
+      used: Math.round(last.plan.used),
+      value: Number((last.plan.value / (last.plan.maxValue || 1)).toFixed(3)),
+      progress: last.plan.resources.map(r => ({
+        resource: r.resource,
+        priority: r.priority,
+        collected: Math.round(r.collected),
+        need: Math.round(r.need),
+      })),
+    }
+    : {};
+
+  return JSON.stringify({
+    ...base,
+    ...balanced,
+    ...squad,
+    ...budget,
+    ...routes,
+    optimal: last.plan.optimal,
+    stops: last.plan.route.map((step, i) => ({ stop: i + 1, travel: step.travel || null, options: step.options.map(exportOption) })),
+    missing: last.plan.missing,
+  }, null, 2);
+}
+
+function coveredText(c) {
+  return c.player ? `${c.resource} (${c.player})` : c.resource;
+}
+
+function planToMarkdown(last) {
+  // Discord-friendly: bold headers, no tables
+  const runTxt = last.runMode === "endless" ? "Endless" : "Quick";
+  const lines = [];
+
+  const optionText = o => {
+    const est = o.estimate ? ` — ${formatEstimate(o.estimate)}` : "";
+    const stay = o.stay ? ` — ${formatStay(o.stay)}` : "";
+    return `${formatNodeLine(o.meta)} (score ${formatScore(o)})${est}${stay}`;
+  };
+
+  if (last.goal === "efficiency") {
+    lines.push(`**Warframe farm plan** — Max Drops • ${runTxt}`, "");
+    for (const r of last.results) {
+      const need = neededAmount(norm(r.resource));
+      lines.push(`**${r.resource}**${need ? ` ×${need.toLocaleString()}` : ""}`);
+      if (r.options.length === 0) lines.push(`- ${r.note || "No eligible nodes found for this run style."}`);
+      r.options.forEach((o, i) => lines.push(`- ${i === 0 ? "Best" : "Alt"}: ${optionText(o)}`));
+      lines.push("");
+    }
+    return lines.join("\n").trim();
+  }
+
+  const { route, missing, optimal } = last.plan;
+  if (last.goal === "balanced") {
+    const point = last.plan.frontier[last.plan.picked];
+    const share = point ? ` at ${formatEfficiency(point.efficiency)} efficiency` : "";
+    lines.push(`**Warframe farm plan** — Balanced • ${runTxt} • ${route.length} stop(s)${share}`, "");
+  } else if (last.goal === "budget") {
+    const value = formatEfficiency(last.plan.value / (last.plan.maxValue || 1));
+    lines.push(`**Warframe farm plan** — Time budget • ${runTxt} • ${Math.round(last.plan.used)} of ${last.plan.budget} min • ${value} of the weighted value`, "");
+  } else if (last.goal === "squad") {
+    lines.push(`**Warframe farm plan** — Squad (${last.plan.players.join(", ")}) • ${runTxt} • ${route.length} stop(s)${optimal ? " (optimal)" : ""}`, "");
+  } else {
+    lines.push(`**Warframe farm plan** — Min Stops • ${runTxt} • ${route.length} stop(s)${optimal ? " (optimal)" : ""}`, "");
+  }
+  route.forEach((step, i) => {
+    const [best, ...alts] = step.options;
+    lines.push(`**Stop ${i + 1}:** ${optionText(best)}${step.travel?.samePlanet ? " (same planet)" : ""}`);
+    lines.push(`> ${best.covered.map(coveredText).join(", ")}`);
+    for (const alt of alts) lines.push(`- Alt${alt.better ? " (better score)" : ""}: ${optionText(alt)}`);
+    lines.push("");
+  });
+  // The other complete routes, one line each
+  const others = (last.plan.routes || [])
+    .map((r, i) => ({ ...r, number: i + 1 }))
+    .filter((r, i) => i !== last.plan.picked);
+  if (others.length) {
+    lines.push("**Other routes:**");
+    for (const r of others) {
+      const stops = r.route.map(step => `${step.options[0].meta.node} (${step.options[0].meta.planet})`).join(" → ");
+      lines.push(`- Route ${r.number} (score ${r.score.toFixed(2)}): ${stops}`);
+    }
+    lines.push("");
+  }
+
+  const tiers = last.plan.missingTiers || [{ label: "", resources: missing }];
+  for (const tier of tiers.filter(t => t.resources.length)) {
+    lines.push(`Missing${tier.label ? ` (${tier.label})` : ""}: ${tier.resources.join(", ")}`);
+  }
+  return lines.join("\n").trim();
+}
+
+export function csvField(v) {
+  const s = String(v ?? "");
+  return /[",\n]/.test(s) ? `"${s.replaceAll("\"", "\"\"")}"` : s;
+}
+
+function planToCsv(last) {
+  const header = ["stop", "rank", "node", "planet", "missionType", "endless", "covered", "score", "runs", "minutes", "stayMinutes"];
+  const rows = [];
+
+  const push = (stop, idx, o, covered) => {
+    const e = exportOption(o);
+    rows.push([stop, idx === 0 ? "best" : "alt", e.node, e.planet, e.missionType, e.endless, covered, e.score, e.runs ?? "", e.minutes ?? "", e.stayMinutes ?? ""]);
+  };
+
+  if (last.goal === "efficiency") {
+    // One "stop" per resource
+    last.results.forEach((r, i) => r.options.forEach((o, idx) => push(i + 1, idx, o, r.resource)));
+  } else {
+    last.plan.route.forEach((step, i) => step.options.forEach((o, idx) => {
+      push(i + 1, idx, o, o.covered.map(coveredText).join("; "));
+    }));
+  }
+
+  return [header, ...rows].map(row => row.map(csvField).join(",")).join("\n");
+}
+
+
+// ----------------------------
+// Plan entry point
+// ----------------------------
+// resources are display names from RESOURCES; the result is what the exports take.
+// include/exclude are node names or keys picked on the star chart.
+export function createPlan({
+  goal, runMode, resources, maxStops = DEFAULT_MAX_STOPS, balance = DEFAULT_BALANCE, players = [], include = [], exclude = [],
+  budget = DEFAULT_BUDGET_MINUTES,
+}) {
+  const createdAt = new Date().toISOString();
+  const edits = { include: include.map(norm), exclude: exclude.map(norm) };
+  if (goal === "efficiency") {
+    return { goal, runMode, createdAt, results: planMaximizeEfficiency(resources, runMode, edits) };
+  }
+  if (goal === "squad") {
+    return { goal, runMode, createdAt, plan: planSquad(players, runMode, maxStops, edits) };
+  }
+  if (goal === "budget") {
+    return { goal, runMode, createdAt, plan: planTimeBudget(resources, runMode, budget, edits) };
+  }
+  if (goal === "balanced") {
+    return { goal, runMode, createdAt, plan: planBalanced(resources, runMode, maxStops, balance, edits) };
+  }
+  return { goal, runMode, createdAt, plan: planMinimizeStops(resources, runMode, maxStops, edits) };
+}
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+// check-goals: plan against the bundled CSVs and check what the goals promise,
+// not just that they run. Covers are checked against a brute-force search over
+// each node's drops, so a solver change that loses the minimum is caught.
+//
+//   npm test
+
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+import {
+  EXPORT_FORMATS, RESOURCES, NODE_META, SETTINGS, MAX_BUDGET_MINUTES,
+  MASTER_FILE, PLANET_FILE, RECIPE_FILE, LINKS_FILE,
+  norm, parseCsv, resolveDataset, indexDataset, createPlan, nodeDrops, nodeBlockReason,
+} from "../planner.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const GOALS = ["efficiency", "stops", "balanced", "budget", "squad"];
+const RUN_MODES = ["quick", "endless"];
+const SAMPLES = 24;       // resource sets per check, sliding windows over the dataset
+const SET_SIZE = 4;       // resources per set
+const MUST_SET_SIZE = 8;  // resources per must-have check: more low-priority resources to pull the cover away
+const BRUTE_MAX_STOPS = 3; // larger minimums are only checked for a valid cover
+
+let failed = 0;
+let passed = 0;
+
+function check(ok, what) {
+  if (ok) passed += 1;
+  else {
+    failed += 1;
+    process.stdout.write(`FAIL ${what}\n`);
+  }
+}
+
+async function loadDataset() {
+  const read = file => readFile(path.join(ROOT, file), "utf8").catch(() => "");
+  const [master, planet, recipes, links] = await Promise.all([MASTER_FILE, PLANET_FILE, RECIPE_FILE, LINKS_FILE].map(read));
+  const rows = resolveDataset({
+    master: { name: MASTER_FILE, text: master },
+    planet: { name: PLANET_FILE, text: planet },
+  }, null);
+  indexDataset({ ...rows, recipes: parseCsv(recipes, RECIPE_FILE), links: parseCsv(links, LINKS_FILE) });
+}
+
+function resetSettings() {
+  SETTINGS.targets = new Map();
+  SETTINGS.owned = new Map();
+  SETTINGS.priorities = new Map();
+  SETTINGS.modifiers = new Set();
+  SETTINGS.endlessStay = { value: 20, unit: "minutes" };
+}
+
+function sampleSets(size) {
+  const sets = [];
+  for (let i = 0; sets.length < SAMPLES && i + size <= RESOURCES.length; i += 3) {
+    sets.push(RESOURCES.slice(i, i + size));
+  }
+  return sets;
+}
+
+// ----------------------------
+// Brute force
+// ----------------------------
+function coverSets(resources, runMode) {
+  // nodeKey -> Set(rKey) the planner can use: nodes with an explicit row for a
+  // selected resource, covering what they drop explicitly or by planet fallback
+  const wanted = new Set(resources.map(norm));
+  const table = new Map();
+  for (const [nKey, meta] of NODE_META) {
+    if (nodeBlockReason(meta, runMode)) continue;
+    const drops = nodeDrops(nKey).filter(d => wanted.has(d.rKey));
+    if (!drops.some(d => d.via === "explicit")) continue;
+    table.set(nKey, new Set(drops.map(d => d.rKey)));
+  }
+  return table;
+}
+
+function bruteMinimum(table, goal) {
+  // Fewest nodes covering every rKey in goal, or null above BRUTE_MAX_STOPS
+  const nodes = [...table.values()];
+  const covers = picked => [...goal].every(rKey => picked.some(set => set.has(rKey)));
+  const search = (start, picked, size) => {
+    if (picked.length === size) return covers(picked);
+    for (let i = start; i < nodes.length; i += 1) {
+      if (search(i + 1, [...picked, nodes[i]], size)) return true;
+    }
+    return false;
+  };
+  for (let size = 0; size <= BRUTE_MAX_STOPS; size += 1) {
+    if (search(0, [], size)) return size;
+  }
+  return null;
+}
+
+const routeNodes = route => route.map(step => step.options[0].nodeKey);
+const routeCovered = route => new Set(route.flatMap(step => step.options[0].covered.map(c => c.rKey)));
+
+// ----------------------------
+// Checks
+// ----------------------------
+function checkGoalsRun(resources) {
+  // Every goal in both run styles plans and builds every export format
+  const targets = new Map([[norm(resources[0]), 100]]);
+  for (const goal of GOALS) {
+    for (const runMode of RUN_MODES) {
+      const what = `${goal} / ${runMode} plans and exports`;
+      try {
+        resetSettings();
+        SETTINGS.targets = targets;
+        SETTINGS.priorities = new Map([[norm(resources[0]), "must"], [norm(resources[1]), "low"]]);
+        const players = [
+          { name: "A", resources: resources.slice(0, 3), targets },
+          { name: "B", resources: resources.slice(2) },
+        ];
+        const plan = createPlan({ goal, runMode, resources, players, maxStops: 3 });
+        for (const format of Object.values(EXPORT_FORMATS)) format.build(plan);
+        check(true, what);
+      } catch (e) {
+        check(false, `${what}: ${e.stack || e}`);
+      }
+    }
+  }
+}
+
+function checkMinStops(resources, runMode) {
+  // Min Stops covers everything coverable, in the proven minimum count when it claims one
+  resetSettings();
+  const table = coverSets(resources, runMode);
+  const coverable = new Set([...table.values()].flatMap(set => [...set]));
+  const { plan } = createPlan({ goal: "stops", runMode, resources, maxStops: 99 });
+  const label = `Min Stops ${runMode} [${resources.join(", ")}]`;
+
+  const brute = bruteMinimum(table, coverable);
+  if (plan.minProven && brute !== null) check(plan.minStops === brute, `${label}: ${plan.minStops} stops, minimum is ${brute}`);
+  else check(brute === null || plan.minStops >= brute, `${label}: ${plan.minStops} stops, below the minimum ${brute}`);
+
+  for (const [i, { route }] of plan.routes.entries()) {
+    check(route.length === plan.minStops, `${label}: route ${i + 1} has ${route.length} stops, not ${plan.minStops}`);
+    const covered = routeCovered(route);
+    check([...coverable].every(rKey => covered.has(rKey)), `${label}: route ${i + 1} misses a coverable resource`);
+  }
+}
+
+function checkTopRoutes(resources, runMode) {
+  // Top routes: same stops count, best score first, same list whatever the selection order
+  resetSettings();
+  const label = `top routes ${runMode} [${resources.join(", ")}]`;
+  const list = order => createPlan({ goal: "stops", runMode, resources: order, maxStops: 99 }).plan.routes
+    .map(r => `${routeNodes(r.route).slice().sort().join("+")}@${r.score.toFixed(6)}`);
+
+  const first = list(resources);
+  check(JSON.stringify(first) === JSON.stringify(list(resources)), `${label}: differs between runs`);
+  check(JSON.stringify(first) === JSON.stringify(list([...resources].reverse())), `${label}: depends on selection order`);
+  check(new Set(first.map(r => r.split("@")[0])).size === first.length, `${label}: repeats a route`);
+  const scores = first.map(r => Number(r.split("@")[1]));
+  check(scores.every((s, i) => i === 0 || scores[i - 1] >= s), `${label}: not best score first`);
+}
+
+function checkMustHaves(resources, runMode) {
+  // With room for the must-haves but not everything, Min Stops and Balanced still cover
+  // every must-have. Returns whether the set needed the trade-off at all.
+  const table = coverSets(resources, runMode);
+  const coverable = new Set([...table.values()].flatMap(set => [...set]));
+
+  // The must-haves are the last resources, so plain coverage would not favour them
+  const musts = new Set(resources.slice(-2).map(norm).filter(rKey => coverable.has(rKey)));
+  const room = bruteMinimum(table, musts);
+  const full = bruteMinimum(table, coverable);
+  if (musts.size === 0 || room === null || (full !== null && full <= room)) return false;
+
+  for (const goal of ["stops", "balanced"]) {
+    resetSettings();
+    for (const r of resources) SETTINGS.priorities.set(norm(r), musts.has(norm(r)) ? "must" : "low");
+    const { plan } = createPlan({ goal, runMode, resources, maxStops: room });
+    const covered = routeCovered(plan.route);
+    const got = [...musts].filter(rKey => covered.has(rKey)).length;
+    check(got === musts.size, `${goal} ${runMode} [${resources.join(", ")}]: ${got} of ${musts.size} must-have(s) in ${room} stop(s)`);
+  }
+  return true;
+}
+
+function checkBudget(resources, runMode) {
+  // Time budget never plans more minutes than it was given, and clamps long budgets
+  for (const budget of [10, 45, 120, MAX_BUDGET_MINUTES * 2]) {
+    resetSettings();
+    SETTINGS.targets = new Map(resources.map((r, i) => [norm(r), 50 * (i + 1)]));
+    const { plan } = createPlan({ goal: "budget", runMode, resources, budget });
+    const label = `budget ${budget} min ${runMode} [${resources.join(", ")}]`;
+    check(plan.budget === Math.min(budget, MAX_BUDGET_MINUTES), `${label}: budget ${plan.budget}`);
+    check(plan.used <= plan.budget + 1e-9, `${label}: used ${plan.used} of ${plan.budget}`);
+    check(plan.value <= plan.maxValue + 1e-9, `${label}: value ${plan.value} above ${plan.maxValue}`);
+  }
+}
+
+function checkEndlessStay(resources) {
+  // Recommended stays cover the user's stay and end on the C rotation of a full A/A/B/C cycle
+  for (const value of [5, 20, 22, 61]) {
+    resetSettings();
+    SETTINGS.endlessStay = { value, unit: "minutes" };
+    const { plan } = createPlan({ goal: "stops", runMode: "endless", resources, maxStops: 99 });
+    for (const step of plan.route) {
+      for (const o of step.options) {
+        const stay = o.stay;
+        if (!stay?.rotations) continue;
+        const rot = stay.minutes / stay.rotations;
+        const label = `stay ${value} min at ${o.nodeKey}: ${stay.rotations} rotation(s) of ${rot} min`;
+        check(stay.rotations % 4 === 0 && stay.endsOn === "C", `${label}, ends on ${stay.endsOn}`);
+        check(stay.minutes >= value - 1e-9 && stay.minutes - 4 * rot < value, `${label}: not the first full cycle covering the stay`);
+      }
+    }
+  }
+}
+
+async function main() {
+  await loadDataset();
+  const sets = sampleSets(SET_SIZE);
+  if (sets.length === 0) {
+    process.stderr.write(`check-goals: the dataset has only ${RESOURCES.length} resource(s)\n`);
+    process.exit(1);
+  }
+
+  checkGoalsRun(sets[0]);
+  for (const resources of sets) {
+    for (const runMode of RUN_MODES) {
+      checkMinStops(resources, runMode);
+      checkTopRoutes(resources, runMode);
+      checkBudget(resources, runMode);
+    }
+    checkEndlessStay(resources);
+  }
+
+  // A dataset where no set needs the trade-off would pass without checking anything
+  let traded = 0;
+  for (const resources of sampleSets(MUST_SET_SIZE)) {
+    for (const runMode of RUN_MODES) traded += checkMustHaves(resources, runMode) ? 1 : 0;
+  }
+  check(traded > 0, "must-haves: no sample needed more stops than the must-haves alone");
+
+  process.stdout.write(`check-goals: ${passed} passed, ${failed} failed\n`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,118 @@
+// Service worker: keeps the planner usable offline.
+//
+// Everything is served stale-while-revalidate: the cached copy answers right
+// away and the network refreshes the cache in the background. When a CSV
+// comes back different from the cached one, open pages get a "data-updated"
+// message and offer a refresh. Bump CACHE_VERSION when the file list changes.
+
+const CACHE_VERSION = "v2";
+const APP_CACHE = `farmplanner-app-${CACHE_VERSION}`;
+const DATA_CACHE = "farmplanner-data";
+
+const APP_FILES = [
+  "./",
+  "index.html",
+  "app.js",
+  "planner.js",
+  "collapse.js",
+  "layout.css",
+  "style-cyberpunk.css",
+  "manifest.webmanifest",
+  "icons/app/icon-192.png",
+  "icons/app/icon-512.png",
+];
+
+// Optional in forks (recipes, links, icons), so a missing one must not break the install
+const DATA_FILES = ["ResourcesMaster.csv", "ResourcesPlanet.csv", "Recipes.csv", "PlanetLinks.csv"];
+const ICON_FILES = [
+  "icons/resources/Affinity-XP-Focus.png",
+  "icons/resources/AlloyPlate.png",
+  "icons/resources/ArgonCrystal.png",
+  "icons/resources/Circuits.png",
+  "icons/resources/ControlModule.png",
+  "icons/resources/Credits.png",
+  "icons/resources/Cryotic.png",
+  "icons/resources/Ferrite.png",
+  "icons/resources/Gallium.png",
+  "icons/resources/Hexenon.png",
+  "icons/resources/Morphics.png",
+  "icons/resources/NanoSpores.png",
+  "icons/resources/NeuralSensors.png",
+  "icons/resources/Neurodes.png",
+  "icons/resources/OrokinCell.png",
+  "icons/resources/Oxium.png",
+  "icons/resources/Plastids.png",
+  "icons/resources/PolymerBundle.png",
+  "icons/resources/Rubedo.png",
+  "icons/resources/Salvage.png",
+  "icons/resources/Tellurium.png",
+];
+
+async function precacheOptional(cacheName, files) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(files.map(file => cache.add(file).catch(() => { })));
+}
+
+self.addEventListener("install", event => {
+  event.waitUntil((async () => {
+    const app = await caches.open(APP_CACHE);
+    await app.addAll(APP_FILES);
+    await precacheOptional(APP_CACHE, ICON_FILES);
+    await precacheOptional(DATA_CACHE, DATA_FILES);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", event => {
+  event.waitUntil((async () => {
+    const keep = new Set([APP_CACHE, DATA_CACHE]);
+    for (const key of await caches.keys()) {
+      if (key.startsWith("farmplanner-") && !keep.has(key)) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+function isDataFile(url) {
+  return url.pathname.toLowerCase().endsWith(".csv");
+}
+
+async function notifyDataUpdated(file) {
+  for (const client of await self.clients.matchAll({ type: "window" })) {
+    client.postMessage({ type: "data-updated", file });
+  }
+}
+
+async function revalidate(request, cacheName, cached) {
+  // Navigations cannot be re-issued with options; everything else skips the HTTP cache
+  const response = await (request.mode === "navigate" ? fetch(request) : fetch(request, { cache: "no-cache" }));
+  if (!response.ok) return response;
+
+  const cache = await caches.open(cacheName);
+  if (cacheName === DATA_CACHE && cached) {
+    const [before, after] = await Promise.all([cached.clone().text(), response.clone().text()]);
+    await cache.put(request, response.clone());
+    if (before !== after) await notifyDataUpdated(new URL(request.url).pathname.split("/").pop());
+  } else {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("fetch", event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+
+  const cacheName = isDataFile(url) ? DATA_CACHE : APP_CACHE;
+  event.respondWith((async () => {
+    // Share links carry state in the hash only, so the query string never matters
+    const cached = await caches.match(request, { ignoreSearch: true });
+    const network = revalidate(request, cacheName, cached);
+    if (cached) {
+      event.waitUntil(network.catch(() => { }));
+      return cached;
+    }
+    return network;
+  })());
+});